@@ -98,7 +98,8 @@ async function main() {
     }));
 
     // Aggregation task that depends on all previous tasks
-    const aggregateResults = workflow.add(async (...results) => {
+    const aggregateResults = workflow.add(async ({ inputs }) => {
+        const results = Object.values(inputs);
         logger.info('🔄 Aggregating results from all tasks...');
         
         await new Promise(resolve => setTimeout(resolve, 300));
@@ -116,7 +117,8 @@ async function main() {
     }, {
         id: 'aggregateResults',
         reliesOn: tasks.map(t => t.id),
-        priority: 2
+        priority: 2,
+        context: true
     });
 
     // Monitor concurrent execution
@@ -1,20 +1,18 @@
 import { Workflow, Logger, Time } from "./src/index.js";
 
-const controller = new AbortController();
-
-async function fetchPokemonBatch(count) {
-    return fetch("https://pokeapi.co/api/v2/pokemon?limit=" + count, { signal: controller.signal })
+async function fetchPokemonBatch(count, signal) {
+    return fetch("https://pokeapi.co/api/v2/pokemon?limit=" + count, { signal })
         .then(res => res.json())
         .then(res => res.results);
 }
 
-async function fetchPokemon(name) {
-    return fetch("https://pokeapi.co/api/v2/pokemon/" + name, { signal: controller.signal })
+async function fetchPokemon(name, signal) {
+    return fetch("https://pokeapi.co/api/v2/pokemon/" + name, { signal })
         .then(res => res.json());
 }
 
-async function fetchPokemonSpecies(name) {
-    return fetch("https://pokeapi.co/api/v2/pokemon-species/" + name, { signal: controller.signal })
+async function fetchPokemonSpecies(name, signal) {
+    return fetch("https://pokeapi.co/api/v2/pokemon-species/" + name, { signal })
         .then(res => res.json());
 }
 
@@ -29,7 +27,10 @@ async function parsePokeData(poke, species) {
 }
 
 
-const workflow = new Workflow({ maxConcurrent: 5 });
+const workflow = new Workflow({
+    maxConcurrent: 5,
+    rateLimits: { pokeapi: { limit: 100, interval: Time.minutes(1), burst: 10 } }
+});
 const logger = new Logger({ level: "debug" });
 
 workflow.taskManager.onAfter("start", (ctx) => {
@@ -45,46 +46,47 @@ workflow.taskManager.onEnter("failed", (ctx) => {
 });
 
 workflow.taskManager.onAfter("retry", (ctx) => {
-    const delay = 2 ** ctx.payload.attempts * ctx.payload.backoff
-    logger.warn(`Retrying task ${ctx.id} in ${delay}ms...:`);
+    logger.warn(`Retrying task ${ctx.id} in ${Math.round(ctx.payload.retryDelay)}ms...:`);
 });
 
 
+workflow.taskManager.onAfter("throttle", (ctx) => {
+    logger.warn(`Rate limited task ${ctx.id}, waiting for a token...`);
+});
+
 workflow.taskManager.onBefore("timeout", (ctx) => {
     logger.warn(`Timed out task ${ctx.id} after ${ctx.payload.timeout}ms`);
 })
 
-workflow.onAfter("abort", () => controller.abort());
-
-const numPoke = 9;
+const batchSize = 9;
 
 function failUntil(count) {
     let attempts = 0;
-    return async function() {
+    return async function({ signal }) {
         if (attempts++ < count) {
             await Time.wait(300);
             throw new Error("FAILED");
         }
-        return fetchPokemonBatch(numPoke)
+        return fetchPokemonBatch(batchSize, signal)
     }
 }
 
-workflow.add(failUntil(5), { id: "fetchBatch", retryLimit: 5, timeout: 300, priority: 100 })
+workflow.add(failUntil(5), { id: "fetchBatch", retryLimit: 5, timeout: 300, priority: 100, retry: { jitter: "full", maxDelay: 2000 } })
 
-// workflow.add(() => fetchPokemonBatch(numPoke), { id: "fetchBatch" })
+// workflow.add(({ signal }) => fetchPokemonBatch(batchSize, signal), { id: "fetchBatch" })
 
-for (let i = 0; i < numPoke; i++) {
-    workflow.add((res) => fetchPokemon(res[i].name), { id: `fetchName-${i}`, reliesOn: ["fetchBatch"] });
-    workflow.add((res) => fetchPokemonSpecies(res[i].name), { id: `fetchSpecies-${i}`, reliesOn: ["fetchBatch"] });
-    workflow.add((poke, species) => parsePokeData(poke, species), { id: `parsePoke-${i}`, reliesOn: [`fetchName-${i}`, `fetchSpecies-${i}`]})
-}
+// one child task per pokemon in the batch, however many the API returned
+workflow.map((poke, i, { signal }) => fetchPokemon(poke.name, signal), { id: "fetchName", over: "fetchBatch", group: "pokeapi" });
+workflow.map((poke, i, { signal }) => fetchPokemonSpecies(poke.name, signal), { id: "fetchSpecies", over: "fetchBatch", group: "pokeapi" });
+workflow.map((poke, i, species) => parsePokeData(poke, species[i]), { id: "parsePoke", over: "fetchName", reliesOn: ["fetchSpecies"] });
 
 // can either consume through a for await loop...
 for await(const task of workflow.stream()) {
-    logger.info("Result:", task.result ?? task.error?.toString());
+    for (const poke of task.result ?? [task.error?.toString()])
+        logger.info("Result:", poke);
 }
 
 // ...or with Array.fromAsync
 // await Array.fromAsync(workflow.try())
-//     .then(res => res.forEach(t => logger.info("Result:", t)))
-//     .catch(err => logger.error(err.toString()));
\ No newline at end of file
+//     .then(res => res.flat().forEach(t => logger.info("Result:", t)))
+//     .catch(err => logger.error(err.toString()));
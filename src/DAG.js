@@ -1,3 +1,6 @@
+import { Heap } from "./Heap.js";
+import { ValidationError } from "./ValidationError.js";
+
 /**
  * Represents a vertex in the DAG with an ID, payload, and outgoing edges.
  * @template T The type of payload stored in the vertex
@@ -22,13 +25,25 @@ class Vertex {
 /**
  * A Directed Acyclic Graph (DAG) implementation for managing vertices and their dependencies.
  * Provides topological sorting, cycle detection, and dependency management.
+ * Dependents are indexed alongside dependencies, and the topological order is cached and extended
+ * incrementally, so graphs with hundreds of thousands of vertices stay cheap to build and query.
  * @template T The type of payload stored in vertices
  */
 export class DAG {
     /** @type {Map<string, Vertex<T>>} */
     #vertices;
+    /** @type {Map<string, Set<string>>} */
+    #dependents;
     /** @type {boolean} */
     #dirty = true;
+    /** @type {boolean} */
+    #stale = false;
+    /** @type {function(Vertex<T>, Vertex<T>): number|null} */
+    #comparator = null;
+    /** @type {Vertex<T>[]} */
+    #order = [];
+    /** @type {Vertex<T>|null} */
+    #latest = null;
     /** @type {T[]} */
     #cached = [];
     
@@ -37,6 +52,7 @@ export class DAG {
      */
     constructor() {
         this.#vertices = new Map();
+        this.#dependents = new Map();
     }
 
     /**
@@ -67,6 +83,7 @@ export class DAG {
 
     /**
      * Adds a new vertex to the DAG.
+     * Dependencies may name vertices that are added later.
      * @param {string} id - Unique identifier for the vertex
      * @param {T} payload - Data to associate with the vertex
      * @param {string[]} [edges] - Array of vertex IDs this vertex depends on
@@ -76,8 +93,22 @@ export class DAG {
         if (this.#vertices.has(id)) {
             throw new Error("Vertex ID already exists!");
         }
-        this.#vertices.set(id, new Vertex(id, payload, edges));
-        this.#dirty = true;
+        const vertex = new Vertex(id, payload, edges);
+        this.#vertices.set(id, vertex);
+        for (const depId of vertex.edges)
+            this.#dependentsOf(depId).add(id);
+        if (this.#dependents.get(id)?.size) {
+            this.#dirty = true; // vertices added earlier already depend on this one
+        } else if (!this.#dirty) {
+            if (this.#latest && this.#comparator(vertex, this.#latest) < 0) {
+                this.#dirty = true; // the comparator orders it before a vertex already sorted
+            } else {
+                // every dependency is already sorted, and ties go to the vertex added first, so a full sort would put it last too
+                this.#order.push(vertex);
+                this.#cached.push(payload);
+                if (this.#comparator) this.#latest = vertex;
+            }
+        }
     }
 
     /**
@@ -85,8 +116,8 @@ export class DAG {
      * @yields {[string, string]} Edge pairs where the first element is the source vertex ID and the second is the target vertex ID
      */
     *getAllEdges() {
-        for (const id of this.#vertices.keys()) {
-            for (const connId of this.getEdges(id)) {
+        for (const [id, vertex] of this.#vertices) {
+            for (const connId of vertex.edges) {
                 yield [id, connId];
             }
         }
@@ -98,14 +129,16 @@ export class DAG {
      * @returns {Vertex<T>|undefined} The removed vertex or undefined if not found
      */
     removeVertex(id) {
-        for (const [fromId, toId] of this.getAllEdges()) {
-            if (toId === id) {
-                this.removeEdge(fromId, toId);
-            }
-        }
         const toRemove = this.#vertices.get(id);
+        if (!toRemove) return;
+        for (const fromId of Array.from(this.#dependents.get(id) ?? [])) {
+            this.removeEdge(fromId, id);
+        }
+        for (const depId of toRemove.edges) {
+            this.#dependents.get(depId)?.delete(id);
+        }
         this.#vertices.delete(id);
-        this.#dirty = true;
+        this.#stale = true; // without dependents, dropping the vertex leaves the others in order, on the next sort
         return toRemove;
     }
 
@@ -116,15 +149,12 @@ export class DAG {
      * @throws {Error} If the edge would create a cycle
      */
     addEdge(fromId, toId) {
-        if (fromId === toId)
+        if (fromId === toId || this.#reaches(toId, fromId))
             throw new Error("Invalid edge, would create cycle!");
-        for (const vertex of this.#dfsFrom(toId)) {
-            if (vertex.id === fromId)
-                throw new Error("Invalid edge, would create cycle!");
-        }
         const from = this.#vertices.get(fromId);
-        if (from && this.#vertices.has(toId)) {
+        if (from && this.#vertices.has(toId) && !from.edges.has(toId)) {
             from.edges.add(toId);
+            this.#dependentsOf(toId).add(fromId);
             this.#dirty = true;
         }
     }
@@ -136,58 +166,114 @@ export class DAG {
      */
     removeEdge(fromId, toId) {
         const from = this.#vertices.get(fromId);
-        if (from) {
-            from.edges.delete(toId);
-            this.#dirty = true;
+        if (from?.edges.delete(toId)) {
+            this.#dependents.get(toId)?.delete(fromId);
+            this.#dirty = true; // the vertex can be ready earlier now
         }
     }
 
     /**
-     * Private generator that performs depth-first search from a given vertex.
+     * Checks whether a vertex transitively depends on another one.
      * @private
      * @param {string} id - The starting vertex ID
-     * @param {Set<string>} [visited=new Set()] - Set of already visited vertices
-     * @param {function(Vertex<T>, Vertex<T>): number} [comparator=null] - Optional comparator for sorting edges
-     * @yields {Vertex<T>} Vertices in DFS order
+     * @param {string} targetId - The vertex ID to look for among the dependencies
+     * @returns {boolean} True if the target is reachable from the starting vertex
      */
-    *#dfsFrom(id, visited = new Set(), comparator = null) {
-        if (visited.has(id)) return;
-        const vertex = this.#vertices.get(id);
-        if (!vertex) return;
-        visited.add(id);
-        const edges = this.getEdges(id);
-        if (comparator) {
-            edges.sort(comparator);
-            vertex.edges.clear();
-            edges.forEach(e => vertex.edges.add(e?.id));
+    #reaches(id, targetId) {
+        const visited = new Set([id]);
+        const stack = [id];
+        while (stack.length) {
+            const vertex = this.#vertices.get(stack.pop());
+            if (!vertex) continue;
+            for (const depId of vertex.edges) {
+                if (depId === targetId) return true;
+                if (!visited.has(depId)) {
+                    visited.add(depId);
+                    stack.push(depId);
+                }
+            }
         }
-        for (const conn of edges) {
-            yield* this.#dfsFrom(conn?.id, visited);
+        return false;
+    }
+
+    /**
+     * Gets the set of dependents of a vertex, creating it if needed.
+     * @private
+     * @param {string} id - The vertex ID
+     * @returns {Set<string>} IDs of the vertices that depend on it
+     */
+    #dependentsOf(id) {
+        let dependents = this.#dependents.get(id);
+        if (!dependents) {
+            dependents = new Set();
+            this.#dependents.set(id, dependents);
         }
-        yield vertex;
+        return dependents;
     }
 
     /**
      * Performs topological sorting of the DAG vertices.
+     * Among the vertices whose dependencies are all sorted, the one ordered first by the comparator comes next,
+     * falling back to insertion order. The result is cached until the graph changes; vertices added without
+     * dependents, that the comparator orders no earlier than the latest-ranked sorted vertex, are appended to the cached order instead of sorting again.
      * @param {function(Vertex<T>, Vertex<T>): number} [comparator=null] - Optional comparator for sorting vertices
      * @returns {T[]} Array of vertex payloads in stable topological order
      */
     topoSort(comparator = null) {
-        if (!this.#dirty) return this.#cached;
-        const visited = new Set();
-        const output = [];
-        const vertices = Array.from(this.#vertices.values());
-        if (comparator) vertices.sort(comparator);
-        for (const vertex of vertices) {
-            if (!visited.has(vertex.id)) {
-                output.push(...this.#dfsFrom(vertex.id, visited, comparator));
+        if (!this.#dirty && this.#comparator === comparator) {
+            if (this.#stale) {
+                this.#order = this.#order.filter(v => this.#vertices.get(v.id) === v);
+                this.#cached = this.#order.map(v => v.payload);
+                this.#stale = false;
             }
+            return this.#cached;
+        }
+        const output = this.#kahn(comparator);
+        const cyclic = output.length < this.#vertices.size;
+        if (cyclic) { // dependencies added after their dependents can close a cycle
+            const sorted = new Set(output);
+            for (const vertex of this.#vertices.values())
+                if (!sorted.has(vertex)) output.push(vertex);
         }
+        this.#order = output;
         this.#cached = output.map(v => v.payload);
-        this.#dirty = false;
+        this.#latest = comparator && output.reduce((latest, v) => comparator(v, latest) >= 0 ? v : latest, output[0] ?? null);
+        this.#comparator = comparator;
+        this.#dirty = cyclic; // vertices on or behind a cycle are not sorted, so new ones cannot be appended after them
+        this.#stale = false;
         return this.#cached;
     }
 
+    /**
+     * Sorts the vertices topologically with Kahn's algorithm, leaving out vertices on or behind a cycle.
+     * @private
+     * @param {function(Vertex<T>, Vertex<T>): number} [comparator=null] - Optional comparator for ordering ready vertices
+     * @returns {Vertex<T>[]} Vertices in topological order
+     */
+    #kahn(comparator = null) {
+        const inDegree = new Map();
+        const added = new Map(Array.from(this.#vertices.keys(), (id, i) => [id, i]));
+        const ready = new Heap((a, b) => (comparator?.(a, b) || 0) || added.get(a.id) - added.get(b.id));
+        for (const vertex of this.#vertices.values()) {
+            let degree = 0;
+            for (const depId of vertex.edges)
+                if (this.#vertices.has(depId)) degree++;
+            inDegree.set(vertex.id, degree);
+            if (degree === 0) ready.push(vertex);
+        }
+        const output = [];
+        while (ready.size) {
+            const vertex = ready.pop();
+            output.push(vertex);
+            for (const depId of this.#dependents.get(vertex.id) ?? []) {
+                const degree = inDegree.get(depId) - 1;
+                inDegree.set(depId, degree);
+                if (degree === 0) ready.push(this.#vertices.get(depId));
+            }
+        }
+        return output;
+    }
+
     /**
      * Gets the vertices that the specified vertex depends on (its edges).
      * @param {string} id - The vertex ID
@@ -199,16 +285,326 @@ export class DAG {
         return Array.from(vertex.edges, connId => this.#vertices.get(connId));
     }
 
+    /**
+     * Gets the vertices that depend on the specified vertex.
+     * @param {string} id - The vertex ID
+     * @returns {Vertex<T>[]|undefined} Array of dependent vertices or undefined if vertex not found
+     */
+    getDependents(id) {
+        if (!this.#vertices.has(id)) return;
+        return Array.from(this.#dependents.get(id) ?? [], depId => this.#vertices.get(depId));
+    }
+
+    /**
+     * Gets every vertex the specified vertex depends on, directly or transitively.
+     * @param {string} id - The vertex ID
+     * @returns {Vertex<T>[]|undefined} Array of ancestor vertices, nearest first, or undefined if vertex not found
+     */
+    ancestors(id) {
+        if (!this.#vertices.has(id)) return;
+        return this.#walk(id, vertex => vertex.edges);
+    }
+
+    /**
+     * Gets every vertex that depends on the specified vertex, directly or transitively.
+     * @param {string} id - The vertex ID
+     * @returns {Vertex<T>[]|undefined} Array of descendant vertices, nearest first, or undefined if vertex not found
+     */
+    descendants(id) {
+        if (!this.#vertices.has(id)) return;
+        return this.#walk(id, vertex => this.#dependents.get(vertex.id) ?? []);
+    }
+
+    /**
+     * Walks the graph breadth first from a vertex, excluding the vertex itself.
+     * @private
+     * @param {string} id - The starting vertex ID
+     * @param {function(Vertex<T>): Iterable<string>} next - Gets the IDs to continue with from a vertex
+     * @returns {Vertex<T>[]} The vertices reached
+     */
+    #walk(id, next) {
+        const visited = new Set([id]);
+        const output = [];
+        for (let i = -1; i < output.length; i++) {
+            const vertex = i < 0 ? this.#vertices.get(id) : output[i];
+            for (const nextId of next(vertex)) {
+                if (visited.has(nextId) || !this.#vertices.has(nextId)) continue;
+                visited.add(nextId);
+                output.push(this.#vertices.get(nextId));
+            }
+        }
+        return output;
+    }
+
+    /**
+     * Gets the vertices that depend on no other vertex.
+     * @returns {Vertex<T>[]} Array of root vertices
+     */
+    roots() {
+        return Array.from(this.#vertices.values()).filter(vertex => {
+            for (const depId of vertex.edges)
+                if (this.#vertices.has(depId)) return false;
+            return true;
+        });
+    }
+
+    /**
+     * Gets the vertices that no other vertex depends on.
+     * @returns {Vertex<T>[]} Array of leaf vertices
+     */
+    leaves() {
+        return Array.from(this.#vertices.values()).filter(vertex => this.isTerminal(vertex.id));
+    }
+
+    /**
+     * Groups the vertices into execution waves: the roots first, then every vertex whose dependencies are all in earlier waves.
+     * A vertex's wave is the length of the longest chain of dependencies leading to it. Vertices on a cycle are left out.
+     * @returns {Vertex<T>[][]} Array of waves, each an array of vertices
+     */
+    levels() {
+        const level = new Map();
+        const levels = [];
+        for (const vertex of this.#kahn()) {
+            let depth = 0;
+            for (const depId of vertex.edges)
+                if (level.has(depId)) depth = Math.max(depth, level.get(depId) + 1);
+            level.set(vertex.id, depth);
+            (levels[depth] ??= []).push(vertex);
+        }
+        return levels;
+    }
+
+    /**
+     * Creates a new DAG containing only the specified vertices and the edges between them.
+     * Payloads are shared with this DAG.
+     * @param {Iterable<string>} ids - IDs of the vertices to keep, unknown IDs are ignored
+     * @returns {DAG<T>} The subgraph
+     */
+    subgraph(ids) {
+        const keep = new Set(ids);
+        const dag = new DAG();
+        for (const vertex of this.#vertices.values()) {
+            if (keep.has(vertex.id))
+                dag.addVertex(vertex.id, vertex.payload, Array.from(vertex.edges).filter(depId => keep.has(depId)));
+        }
+        return dag;
+    }
+
+    /**
+     * Creates a new DAG with the same vertices but without redundant edges, i.e. dependencies that are
+     * also reached through another dependency. Dependencies on vertices that do not exist are dropped too.
+     * Takes time proportional to vertices times edges in the worst case.
+     * @returns {DAG<T>} The transitive reduction
+     */
+    transitiveReduction() {
+        const dag = new DAG();
+        for (const vertex of this.#vertices.values()) {
+            const direct = Array.from(vertex.edges).filter(depId => this.#vertices.has(depId));
+            // every dependency reachable from another dependency is implied by it
+            const indirect = new Set();
+            const stack = direct.flatMap(depId => Array.from(this.#vertices.get(depId).edges));
+            while (stack.length) {
+                const depId = stack.pop();
+                if (indirect.has(depId) || !this.#vertices.has(depId)) continue;
+                indirect.add(depId);
+                for (const nextId of this.#vertices.get(depId).edges)
+                    stack.push(nextId);
+            }
+            dag.addVertex(vertex.id, vertex.payload, direct.filter(depId => !indirect.has(depId)));
+        }
+        return dag;
+    }
+
+    /**
+     * Finds the longest path through the graph by the sum of the weights of its vertices, e.g. the chain of
+     * tasks that determines the total runtime when weighted by duration. Vertices on a cycle are left out.
+     * @param {function(Vertex<T>): number} [weight] - Weight of a vertex, defaults to 1
+     * @returns {{path: Vertex<T>[], length: number}} The vertices on the path, from the first dependency to the last dependent, and its total weight
+     */
+    criticalPath(weight = () => 1) {
+        const length = new Map();
+        const previous = new Map();
+        let end = null;
+        for (const vertex of this.#kahn()) {
+            let best = null;
+            for (const depId of vertex.edges)
+                if (length.has(depId) && (best === null || length.get(depId) > length.get(best))) best = depId;
+            length.set(vertex.id, (best === null ? 0 : length.get(best)) + weight(vertex));
+            previous.set(vertex.id, best);
+            if (end === null || length.get(vertex.id) > length.get(end)) end = vertex.id;
+        }
+        const path = [];
+        for (let id = end; id !== null; id = previous.get(id))
+            path.push(this.#vertices.get(id));
+        return { path: path.reverse(), length: end === null ? 0 : length.get(end) };
+    }
+
+    /**
+     * Finds every dependency on a vertex that does not exist, and every cycle.
+     * Each cycle is reported once with its full path, which starts and ends with the same vertex.
+     * @returns {{type: "missing"|"cycle", message: string, id?: string, dependency?: string, path?: string[]}[]} The issues found
+     */
+    issues() {
+        const issues = [];
+        for (const [id, vertex] of this.#vertices) {
+            for (const depId of vertex.edges) {
+                if (!this.#vertices.has(depId))
+                    issues.push({ type: "missing", id, dependency: depId, message: `"${id}" depends on unknown vertex "${depId}"` });
+            }
+        }
+        for (const component of this.#cyclicComponents()) {
+            const path = this.#cycleIn(component);
+            issues.push({ type: "cycle", path, message: `Cycle: ${path.join(" -> ")}` });
+        }
+        return issues;
+    }
+
+    /**
+     * Checks that every dependency exists and that the graph has no cycles.
+     * @throws {ValidationError} If any issues were found, listing all of them
+     */
+    validate() {
+        const issues = this.issues();
+        if (issues.length)
+            throw new ValidationError(issues);
+    }
+
+    /**
+     * Finds the strongly connected components that contain a cycle (Tarjan's algorithm, iteratively).
+     * @private
+     * @returns {Set<string>[]} Vertex IDs of each cyclic component
+     */
+    #cyclicComponents() {
+        const index = new Map(), low = new Map(), onStack = new Set(), stack = [], components = [];
+        let counter = 0;
+        for (const root of this.#vertices.keys()) {
+            if (index.has(root)) continue;
+            const work = [[root, this.#vertices.get(root).edges.values()]];
+            index.set(root, counter);
+            low.set(root, counter++);
+            stack.push(root);
+            onStack.add(root);
+            while (work.length) {
+                const [id, edges] = work.at(-1);
+                const next = edges.next();
+                if (!next.done) {
+                    const depId = next.value;
+                    if (!this.#vertices.has(depId)) continue;
+                    if (!index.has(depId)) {
+                        index.set(depId, counter);
+                        low.set(depId, counter++);
+                        stack.push(depId);
+                        onStack.add(depId);
+                        work.push([depId, this.#vertices.get(depId).edges.values()]);
+                    } else if (onStack.has(depId)) {
+                        low.set(id, Math.min(low.get(id), index.get(depId)));
+                    }
+                    continue;
+                }
+                work.pop();
+                if (work.length) {
+                    const parent = work.at(-1)[0];
+                    low.set(parent, Math.min(low.get(parent), low.get(id)));
+                }
+                if (low.get(id) !== index.get(id)) continue;
+                const component = new Set();
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.add(member);
+                } while (member !== id);
+                if (component.size > 1 || this.#vertices.get(id).edges.has(id))
+                    components.push(component);
+            }
+        }
+        return components;
+    }
+
+    /**
+     * Finds a cycle within a strongly connected component by walking its dependencies breadth first.
+     * @private
+     * @param {Set<string>} component - Vertex IDs of the component
+     * @returns {string[]} The cycle path, starting and ending with the same vertex
+     */
+    #cycleIn(component) {
+        const start = component.values().next().value;
+        const previous = new Map();
+        const queue = [start];
+        for (let i = 0; i < queue.length; i++) {
+            for (const depId of this.#vertices.get(queue[i]).edges) {
+                if (depId === start) {
+                    const path = [start];
+                    for (let id = queue[i]; id !== start; id = previous.get(id))
+                        path.push(id);
+                    path.push(start);
+                    return [path[0], ...path.slice(1, -1).reverse(), start];
+                }
+                if (component.has(depId) && !previous.has(depId)) {
+                    previous.set(depId, queue[i]);
+                    queue.push(depId);
+                }
+            }
+        }
+        return [start, start];
+    }
+
+    /**
+     * Renders the DAG as a Graphviz DOT digraph, with edges pointing from each dependency to its dependents.
+     * @param {Object} [options={}] - Rendering options
+     * @param {string} [options.name="dag"] - Name of the graph
+     * @param {function(Vertex<T>): string} [options.label] - Label of a vertex, lines separated by "\n", defaults to its ID
+     * @param {function(Vertex<T>): string|undefined} [options.color] - Fill color of a vertex
+     * @returns {string} The DOT source
+     */
+    toDot({ name = "dag", label = vertex => vertex.id, color = () => undefined } = {}) {
+        const quote = str => `"${String(str).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`;
+        const lines = [`digraph ${quote(name)} {`, "    rankdir=LR;", `    node [shape=box, style="rounded,filled", fillcolor=white];`];
+        for (const vertex of this.#vertices.values()) {
+            const fill = color(vertex);
+            lines.push(`    ${quote(vertex.id)} [label=${quote(label(vertex))}${fill ? `, fillcolor=${quote(fill)}` : ""}];`);
+        }
+        for (const [id, depId] of this.getAllEdges()) {
+            if (this.#vertices.has(depId))
+                lines.push(`    ${quote(depId)} -> ${quote(id)};`);
+        }
+        lines.push("}");
+        return lines.join("\n");
+    }
+
+    /**
+     * Renders the DAG as a Mermaid flowchart, with edges pointing from each dependency to its dependents.
+     * @param {Object} [options={}] - Rendering options
+     * @param {"LR"|"TB"|"RL"|"BT"} [options.direction="LR"] - Direction of the flowchart
+     * @param {function(Vertex<T>): string} [options.label] - Label of a vertex, lines separated by "\n", defaults to its ID
+     * @param {function(Vertex<T>): string|undefined} [options.color] - Fill color of a vertex
+     * @returns {string} The Mermaid source
+     */
+    toMermaid({ direction = "LR", label = vertex => vertex.id, color = () => undefined } = {}) {
+        // vertex IDs may contain characters Mermaid does not allow in node IDs, so nodes are numbered instead
+        const nodes = new Map(Array.from(this.#vertices.keys(), (id, i) => [id, `n${i}`]));
+        const escape = str => String(str).replace(/"/g, "#quot;").replace(/\n/g, "<br/>");
+        const lines = [`flowchart ${direction}`];
+        for (const vertex of this.#vertices.values()) {
+            lines.push(`    ${nodes.get(vertex.id)}["${escape(label(vertex))}"]`);
+        }
+        for (const [id, depId] of this.getAllEdges()) {
+            if (nodes.has(depId))
+                lines.push(`    ${nodes.get(depId)} --> ${nodes.get(id)}`);
+        }
+        for (const vertex of this.#vertices.values()) {
+            const fill = color(vertex);
+            if (fill) lines.push(`    style ${nodes.get(vertex.id)} fill:${fill}`);
+        }
+        return lines.join("\n");
+    }
+
     /**
      * Checks if a vertex is terminal (has no outgoing edges).
      * @param {string} id - The vertex ID to check
      * @returns {boolean} True if the vertex is terminal, false otherwise
      */
     isTerminal(id) {
-        let outEdges = 0;
-        for (const v of Array.from(this.#vertices.values())) {
-            if (v.edges.has(id)) outEdges++;
-        }
-        return outEdges === 0;
+        return !this.#dependents.get(id)?.size;
     }
 }
\ No newline at end of file
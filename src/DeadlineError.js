@@ -0,0 +1,19 @@
+/**
+ * The error a workflow is aborted with when it reaches its deadline. Tasks that were still
+ * pending or running are cancelled with it, and their attempts' `AbortSignal`s abort with it.
+ */
+export class DeadlineError extends Error {
+    /**
+     * Creates a new deadline error.
+     * @param {string} workflow - ID of the workflow
+     * @param {Date} deadline - The deadline that passed
+     */
+    constructor(workflow, deadline) {
+        super(`Workflow ${workflow} missed its deadline of ${deadline.toISOString()}`);
+        this.name = "DeadlineError";
+        /** @type {string} */
+        this.workflow = workflow;
+        /** @type {Date} */
+        this.deadline = deadline;
+    }
+}
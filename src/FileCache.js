@@ -0,0 +1,99 @@
+import fs from "fs";
+import path from "path";
+import { digest } from "./Util.js";
+
+/**
+ * A store for cached task results in a local directory, one JSON file per result in a directory per task,
+ * so results survive the process and can be shared between runs. Results must be JSON-serializable.
+ * Task directories are named by the hash of the task ID, so no ID can reach outside the cache directory.
+ */
+export class FileCache {
+    /** @type {string} */
+    #dir;
+
+    /**
+     * Creates a new file cache, creating the directory if needed.
+     * @param {Object} config - Cache configuration
+     * @param {string} config.dir - Directory the results are stored in
+     */
+    constructor({ dir }) {
+        if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+        this.#dir = dir;
+    }
+
+    /**
+     * Gets the directory the results are stored in.
+     * @returns {string} The cache directory
+     */
+    get dir() { return this.#dir }
+
+    /**
+     * Looks up a cached result. Unreadable files count as misses.
+     * @param {string} task - ID of the task the result belongs to
+     * @param {string} key - Cache key of the result
+     * @returns {Promise<{value: any}|undefined>} The cached result, or undefined on a miss
+     */
+    async get(task, key) {
+        try {
+            const { value } = JSON.parse(await fs.promises.readFile(this.#file(task, key), "utf8"));
+            return { value };
+        } catch {
+            return;
+        }
+    }
+
+    /**
+     * Stores a result, writing it to a temporary file first so readers never see it half-written.
+     * @param {string} task - ID of the task the result belongs to
+     * @param {string} key - Cache key of the result
+     * @param {any} value - The result
+     * @returns {Promise<void>}
+     * @throws {TypeError} If the result cannot be serialized
+     */
+    async set(task, key, value) {
+        const file = this.#file(task, key);
+        const json = JSON.stringify({ task, key, createdAt: new Date().toISOString(), value });
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(`${file}.tmp`, json);
+        await fs.promises.rename(`${file}.tmp`, file);
+    }
+
+    /**
+     * Deletes all cached results of a task.
+     * @param {string} task - The task ID
+     * @returns {Promise<void>}
+     */
+    async invalidate(task) {
+        await fs.promises.rm(this.#taskDir(task), { recursive: true, force: true });
+    }
+
+    /**
+     * Deletes all cached results.
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        for (const entry of await fs.promises.readdir(this.#dir))
+            await fs.promises.rm(path.join(this.#dir, entry), { recursive: true, force: true });
+    }
+
+    /**
+     * Gets the path of the file holding a result.
+     * @private
+     * @param {string} task - ID of the task the result belongs to
+     * @param {string} key - Cache key of the result
+     * @returns {string} The file path
+     */
+    #file(task, key) {
+        return path.join(this.#taskDir(task), `${key}.json`);
+    }
+
+    /**
+     * Gets the path of the directory holding a task's results.
+     * @private
+     * @param {string} task - The task ID
+     * @returns {string} The directory path
+     */
+    #taskDir(task) {
+        return path.join(this.#dir, digest(String(task)));
+    }
+}
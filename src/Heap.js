@@ -0,0 +1,84 @@
+/**
+ * A binary heap that pops the smallest item according to a comparator, and items that compare equal in insertion order.
+ * @template T The type of items stored in the heap
+ */
+export class Heap {
+    /** @type {{item: T, seq: number}[]} */
+    #items = [];
+    /** @type {function(T, T): number} */
+    #comparator;
+    /** @type {number} */
+    #seq = 0;
+
+    /**
+     * Creates a new heap.
+     * @param {function(T, T): number} [comparator=null] - Comparator for ordering items, insertion order if omitted
+     */
+    constructor(comparator = null) {
+        this.#comparator = comparator ?? (() => 0);
+    }
+
+    /**
+     * Gets the number of items in the heap.
+     * @returns {number} The number of items
+     */
+    get size() { return this.#items.length }
+
+    /**
+     * Adds an item to the heap.
+     * @param {T} item - The item to add
+     */
+    push(item) {
+        const items = this.#items;
+        items.push({ item, seq: this.#seq++ });
+        for (let i = items.length - 1; i > 0;) {
+            const parent = (i - 1) >> 1;
+            if (!this.#less(items[i], items[parent])) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    /**
+     * Removes and returns the smallest item.
+     * @returns {T|undefined} The smallest item or undefined if the heap is empty
+     */
+    pop() {
+        const items = this.#items;
+        if (!items.length) return;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length) {
+            items[0] = last;
+            for (let i = 0; ;) {
+                const left = 2 * i + 1, right = left + 1;
+                let min = i;
+                if (left < items.length && this.#less(items[left], items[min])) min = left;
+                if (right < items.length && this.#less(items[right], items[min])) min = right;
+                if (min === i) break;
+                [items[i], items[min]] = [items[min], items[i]];
+                i = min;
+            }
+        }
+        return top.item;
+    }
+
+    /**
+     * Gets the items in the order they would be popped, without removing them.
+     * @returns {T[]} Array of items
+     */
+    toArray() {
+        return Array.from(this.#items).sort((a, b) => this.#less(a, b) ? -1 : 1).map(entry => entry.item);
+    }
+
+    /**
+     * Compares two heap entries, falling back to insertion order.
+     * @private
+     * @param {{item: T, seq: number}} a - First entry
+     * @param {{item: T, seq: number}} b - Second entry
+     * @returns {boolean} True if a comes before b
+     */
+    #less(a, b) {
+        return (this.#comparator(a.item, b.item) || a.seq - b.seq) < 0;
+    }
+}
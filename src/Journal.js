@@ -0,0 +1,185 @@
+import fs from "fs";
+import path from "path";
+import { Time } from "./Time.js";
+
+/**
+ * An append-only NDJSON journal that records every workflow and task state transition.
+ * Records are written synchronously as transitions happen, so a killed process loses at most
+ * the work of the tasks that were running. Replaying the journal yields a snapshot for `Workflow.restore()`.
+ */
+export class Journal {
+    /** @type {string} */
+    #file;
+    /** @type {number|null} */
+    #fd;
+    /** @type {"always"|"interval"|"none"} */
+    #sync;
+    /** @type {NodeJS.Timeout|undefined} */
+    #handle;
+    /** @type {boolean} */
+    #dirty = false;
+
+    /**
+     * Creates a new journal, opening (or creating) the file for appending.
+     * @param {Object} config - Journal configuration
+     * @param {string} config.file - Path of the NDJSON journal file
+     * @param {"always"|"interval"|"none"} [config.sync="always"] - When to fsync: after every record, on an interval, or never (left to the OS)
+     * @param {number} [config.interval=1000] - Interval in milliseconds between fsyncs when `sync` is "interval"
+     */
+    constructor({ file, sync = "always", interval = 1000 }) {
+        if (!["always", "interval", "none"].includes(sync))
+            throw new Error(`Invalid journal sync policy: ${sync}`);
+        const dir = path.dirname(file);
+        if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+        this.#file = file;
+        this.#sync = sync;
+        this.#fd = fs.openSync(file, "a+");
+        const { size } = fs.fstatSync(this.#fd);
+        if (size > 0) { // terminate a record truncated by a crash so the next one starts on its own line
+            const last = Buffer.alloc(1);
+            fs.readSync(this.#fd, last, 0, 1, size - 1);
+            if (last.toString() !== "\n") fs.writeSync(this.#fd, "\n");
+        }
+        if (sync === "interval") {
+            this.#handle = setInterval(() => this.flush(), interval);
+            this.#handle.unref();
+        }
+    }
+
+    /**
+     * Gets the path of the journal file.
+     * @returns {string} The journal file path
+     */
+    get file() { return this.#file }
+
+    /**
+     * Reads a journal file and folds its records into a workflow snapshot.
+     * Truncated records (from a crash mid-write) are ignored.
+     * @param {string} file - Path of the NDJSON journal file
+     * @param {string} [workflowId] - Workflow to rebuild, defaults to the last one recorded
+     * @returns {Object|null} A snapshot in the shape of `Workflow.toJSON()`, or null if there is nothing to replay
+     */
+    static replay(file, workflowId) {
+        if (!fs.existsSync(file)) return null;
+        const records = [];
+        for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+            if (!line.trim()) continue;
+            try {
+                records.push(JSON.parse(line));
+            } catch {
+                continue;
+            }
+        }
+        const id = workflowId ?? records.at(-1)?.workflow;
+        if (id === undefined) return null;
+        const snapshot = { id, state: "idle", tasks: [] };
+        const tasks = new Map();
+        for (const record of records) {
+            if (record.workflow !== id) continue;
+            if (record.scope === "workflow") {
+                snapshot.state = record.to;
+            } else if (record.to === "removed") {
+                tasks.delete(record.id);
+            } else {
+                const prev = tasks.get(record.id) ?? {};
+                tasks.set(record.id, {
+                    ...prev,
+                    ...record.task,
+                    id: record.id,
+                    state: record.to,
+                    result: record.to === "succeeded" ? record.result : undefined
+                });
+            }
+        }
+        snapshot.tasks = Array.from(tasks.values());
+        return snapshot;
+    }
+
+    /**
+     * Starts recording the transitions of a workflow and all of its tasks.
+     * Tasks that already exist are recorded with their current state.
+     * @param {import("./Workflow.js").Workflow} workflow - The workflow to record
+     * @returns {function} Cleanup function to stop recording
+     */
+    attach(workflow) {
+        for (const task of workflow.getOrdered())
+            this.#record(workflow, { id: task.id, transition: "attach", from: task.state, to: task.state, payload: task });
+        const offTasks = workflow.taskManager.on("*", (event, ctx) => {
+            // only the workflow's own tasks can be restored, so map children and sub-workflow tasks are left out
+            // (checked on the task itself, since a task's `add` fires before the workflow registers it)
+            if (event.endsWith(".after") && ctx.payload.workflow === workflow && !ctx.payload.parent) this.#record(workflow, ctx);
+        });
+        const offWorkflow = workflow.on("*", (event, ctx) => {
+            if (!event.endsWith(".after")) return;
+            try {
+                this.write({ ts: Time.stamp, scope: "workflow", workflow: workflow.id, transition: ctx.transition, from: ctx.from, to: ctx.to });
+            } catch (err) {
+                workflow.logger.error(`Could not journal workflow ${workflow.id}: ${err.message}`);
+            }
+        });
+        return () => {
+            offTasks();
+            offWorkflow();
+        };
+    }
+
+    /**
+     * Builds and writes the record for a task transition. Values that cannot be serialized are left out:
+     * the result first, then the parameters, the nested workflow and finally all of the task's settings.
+     * Recording never throws, so a failing journal cannot break the workflow; failures are logged instead.
+     * @private
+     * @param {import("./Workflow.js").Workflow} workflow - The workflow the task belongs to
+     * @param {Object} ctx - Transition context
+     */
+    #record(workflow, ctx) {
+        try {
+            const { result, state, id, ...task } = ctx.payload.toJSON();
+            const record = { ts: Time.stamp, scope: "task", workflow: workflow.id, id: ctx.id, transition: ctx.transition, from: ctx.from, to: ctx.to, task };
+            if (ctx.to === "succeeded") record.result = result;
+            for (const drop of [() => delete record.result, () => delete task.params, () => delete task.workflow, () => delete record.task]) {
+                try {
+                    return this.write(record);
+                } catch (err) {
+                    if (!(err instanceof TypeError)) throw err;
+                    drop();
+                }
+            }
+            this.write(record);
+        } catch (err) {
+            workflow.logger.error(`Could not journal task ${ctx.id}: ${err.message}`);
+        }
+    }
+
+    /**
+     * Appends a record to the journal, applying the sync policy.
+     * @param {Object} record - JSON-serializable record
+     * @throws {Error} If the journal is closed
+     */
+    write(record) {
+        if (this.#fd === null)
+            throw new Error("Journal is closed!");
+        fs.writeSync(this.#fd, JSON.stringify(record) + "\n");
+        this.#dirty = true;
+        if (this.#sync === "always") this.flush();
+    }
+
+    /**
+     * Forces all written records to disk.
+     */
+    flush() {
+        if (this.#fd === null || !this.#dirty) return;
+        fs.fsyncSync(this.#fd);
+        this.#dirty = false;
+    }
+
+    /**
+     * Flushes and closes the journal file.
+     */
+    close() {
+        if (this.#fd === null) return;
+        clearInterval(this.#handle);
+        this.flush();
+        fs.closeSync(this.#fd);
+        this.#fd = null;
+    }
+}
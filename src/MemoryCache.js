@@ -0,0 +1,59 @@
+/**
+ * An in-memory store for cached task results, kept for the lifetime of the process.
+ * Results are stored by reference, so they need not be serializable.
+ */
+export class MemoryCache {
+    /** @type {Map<string, Map<string, any>>} */
+    #entries = new Map();
+
+    /**
+     * Gets the number of cached results.
+     * @returns {number} The number of entries
+     */
+    get size() {
+        let size = 0;
+        for (const entries of this.#entries.values()) size += entries.size;
+        return size;
+    }
+
+    /**
+     * Looks up a cached result.
+     * @param {string} task - ID of the task the result belongs to
+     * @param {string} key - Cache key of the result
+     * @returns {Promise<{value: any}|undefined>} The cached result, or undefined on a miss
+     */
+    async get(task, key) {
+        const entries = this.#entries.get(task);
+        if (!entries?.has(key)) return;
+        return { value: entries.get(key) };
+    }
+
+    /**
+     * Stores a result.
+     * @param {string} task - ID of the task the result belongs to
+     * @param {string} key - Cache key of the result
+     * @param {any} value - The result
+     * @returns {Promise<void>}
+     */
+    async set(task, key, value) {
+        if (!this.#entries.has(task)) this.#entries.set(task, new Map());
+        this.#entries.get(task).set(key, value);
+    }
+
+    /**
+     * Deletes all cached results of a task.
+     * @param {string} task - The task ID
+     * @returns {Promise<void>}
+     */
+    async invalidate(task) {
+        this.#entries.delete(task);
+    }
+
+    /**
+     * Deletes all cached results.
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.#entries.clear();
+    }
+}
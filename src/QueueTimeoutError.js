@@ -0,0 +1,19 @@
+/**
+ * The error a task fails with when it waits longer than its `queueTimeout` for a resource pool claim
+ * or a concurrency slot. Time spent waiting on dependencies does not count.
+ */
+export class QueueTimeoutError extends Error {
+    /**
+     * Creates a new queue timeout error.
+     * @param {string} task - ID of the task
+     * @param {number} timeout - The queue timeout in milliseconds
+     */
+    constructor(task, timeout) {
+        super(`Task ${task} waited more than ${timeout}ms for a slot`);
+        this.name = "QueueTimeoutError";
+        /** @type {string} */
+        this.task = task;
+        /** @type {number} */
+        this.timeout = timeout;
+    }
+}
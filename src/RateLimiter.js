@@ -0,0 +1,134 @@
+/**
+ * A token bucket rate limiter, e.g. "at most 100 starts per minute, in bursts of up to 10".
+ * Tokens refill continuously at `limit` per `interval`, up to `burst` tokens. Waiting callers are served in FIFO order.
+ * A single instance can be shared between workflows to share the rate.
+ */
+export class RateLimiter {
+    /** @type {number} */
+    #limit;
+    /** @type {number} */
+    #interval;
+    /** @type {number} */
+    #burst;
+    /** @type {number} */
+    #tokens;
+    /** @type {number} */
+    #updated;
+    /** @type {function[]} */
+    #queue;
+    /** @type {NodeJS.Timeout|null} */
+    #handle;
+
+    /**
+     * Creates a new rate limiter, starting with a full bucket.
+     * @param {Object} config - Rate limiter configuration
+     * @param {number} config.limit - Number of tokens granted per interval
+     * @param {number} [config.interval=1000] - Interval in milliseconds
+     * @param {number} [config.burst=config.limit] - Maximum number of tokens the bucket holds
+     * @throws {Error} If the limit, interval or burst is not a positive number
+     */
+    constructor({ limit, interval = 1000, burst = limit }) {
+        if (!(limit > 0) || !(interval > 0) || !(burst >= 1))
+            throw new Error(`Invalid rate limit: ${limit} per ${interval}ms, burst ${burst}`);
+        this.#limit = limit;
+        this.#interval = interval;
+        this.#burst = burst;
+        this.#tokens = burst;
+        this.#updated = Date.now();
+        this.#queue = [];
+        this.#handle = null;
+    }
+
+    /**
+     * Gets the number of tokens granted per interval.
+     * @returns {number} The limit
+     */
+    get limit() { return this.#limit }
+
+    /**
+     * Gets the interval the limit applies to.
+     * @returns {number} The interval in milliseconds
+     */
+    get interval() { return this.#interval }
+
+    /**
+     * Gets the maximum number of tokens the bucket holds.
+     * @returns {number} The burst size
+     */
+    get burst() { return this.#burst }
+
+    /**
+     * Gets the number of tokens currently available.
+     * @returns {number} The available tokens, possibly fractional
+     */
+    get tokens() {
+        this.#refill();
+        return this.#tokens;
+    }
+
+    /**
+     * Gets the number of callers waiting for a token.
+     * @returns {number} The number of waiting callers
+     */
+    get waiting() { return this.#queue.length }
+
+    /**
+     * Takes a token if one is available right now and nobody is waiting for one.
+     * @returns {boolean} True if a token was taken, false otherwise
+     */
+    tryAcquire() {
+        this.#refill();
+        if (this.#queue.length || this.#tokens < 1) return false;
+        this.#tokens--;
+        return true;
+    }
+
+    /**
+     * Takes a token, waiting until one is available.
+     * @param {AbortSignal} [signal] - Optional abort signal that gives up the wait
+     * @returns {Promise<void>} Promise that resolves when a token was taken
+     * @throws {any} The abort reason if the signal aborts before a token was taken
+     */
+    async acquire(signal) {
+        signal?.throwIfAborted();
+        if (this.tryAcquire()) return;
+        let grant, abort;
+        await new Promise((res, rej) => {
+            this.#queue.push(grant = res);
+            signal?.addEventListener("abort", abort = () => {
+                this.#queue.splice(this.#queue.indexOf(grant), 1);
+                rej(signal.reason);
+            }, { once: true });
+            this.#schedule();
+        }).finally(() => signal?.removeEventListener("abort", abort));
+    }
+
+    /**
+     * Adds the tokens accrued since the last refill.
+     * @private
+     */
+    #refill() {
+        const now = Date.now();
+        this.#tokens = Math.min(this.#burst, this.#tokens + (now - this.#updated) * this.#limit / this.#interval);
+        this.#updated = now;
+    }
+
+    /**
+     * Schedules handing out tokens to waiting callers as soon as the next token accrues.
+     * @private
+     */
+    #schedule() {
+        if (this.#handle || !this.#queue.length) return;
+        this.#refill();
+        const wait = Math.max(0, Math.ceil((1 - this.#tokens) * this.#interval / this.#limit));
+        this.#handle = setTimeout(() => {
+            this.#handle = null;
+            this.#refill();
+            while (this.#queue.length && this.#tokens >= 1) {
+                this.#tokens--;
+                this.#queue.shift()();
+            }
+            this.#schedule();
+        }, wait);
+    }
+}
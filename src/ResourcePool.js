@@ -0,0 +1,167 @@
+/**
+ * A set of named, weighted capacity pools (e.g. `{ db: 2, http: 10 }`).
+ * Claims on several pools are acquired all at once or not at all, so tasks holding part of
+ * what they need can never block each other into a deadlock. Waiting claims are served in priority order:
+ * no claim on a pool is granted ahead of a waiting claim on it with at least the same priority.
+ */
+export class ResourcePool {
+    /** @type {Map<string, number>} */
+    #capacity;
+    /** @type {Map<string, number>} */
+    #used;
+    /** @type {{claims: Object<string, number>, priority: number, resolve: function}[]} */
+    #queue;
+
+    /**
+     * Creates a new resource pool.
+     * @param {Object<string, number>} [pools={}] - Capacity of each named pool
+     * @throws {Error} If a capacity is not a positive number
+     */
+    constructor(pools = {}) {
+        this.#capacity = new Map();
+        this.#used = new Map();
+        this.#queue = [];
+        for (const [name, capacity] of Object.entries(pools)) {
+            if (!(capacity > 0))
+                throw new Error(`Invalid capacity for resource pool ${name}: ${capacity}`);
+            this.#capacity.set(name, capacity);
+            this.#used.set(name, 0);
+        }
+    }
+
+    /**
+     * Gets the names of all pools.
+     * @returns {string[]} Array of pool names
+     */
+    get names() { return Array.from(this.#capacity.keys()) }
+
+    /**
+     * Gets the number of claims waiting for capacity.
+     * @returns {number} The number of waiting claims
+     */
+    get waiting() { return this.#queue.length }
+
+    /**
+     * Gets the capacity of a pool.
+     * @param {string} name - The pool name
+     * @returns {number|undefined} The capacity or undefined if the pool does not exist
+     */
+    capacity(name) { return this.#capacity.get(name) }
+
+    /**
+     * Gets the unclaimed capacity of a pool.
+     * @param {string} name - The pool name
+     * @returns {number|undefined} The available capacity or undefined if the pool does not exist
+     */
+    available(name) {
+        if (!this.#capacity.has(name)) return;
+        return this.#capacity.get(name) - this.#used.get(name);
+    }
+
+    /**
+     * Normalizes claims to an object of weights, where an array of names claims 1 of each.
+     * @param {string[]|Object<string, number>} [claims] - Pool names or weighted claims
+     * @returns {Object<string, number>} Weighted claims
+     */
+    static normalize(claims) {
+        if (!claims) return {};
+        if (Array.isArray(claims))
+            return Object.fromEntries(claims.map(name => [name, 1]));
+        return { ...claims };
+    }
+
+    /**
+     * Checks that claims can ever be satisfied by this pool.
+     * @param {string[]|Object<string, number>} claims - Pool names or weighted claims
+     * @throws {Error} If a pool does not exist or a weight is invalid or exceeds its pool's capacity
+     */
+    validate(claims) {
+        for (const [name, weight] of Object.entries(ResourcePool.normalize(claims))) {
+            if (!this.#capacity.has(name))
+                throw new Error(`Unknown resource pool: ${name}`);
+            if (!(weight > 0) || weight > this.#capacity.get(name))
+                throw new Error(`Invalid claim on resource pool ${name}: ${weight} (capacity ${this.#capacity.get(name)})`);
+        }
+    }
+
+    /**
+     * Acquires all claims at once, waiting until every pool has capacity for them, and until claims on the
+     * same pools that were queued with at least the same priority were granted.
+     * @param {string[]|Object<string, number>} claims - Pool names or weighted claims
+     * @param {number} [priority=0] - Priority of the claims (higher numbers are served first)
+     * @returns {Promise<void>} Promise that resolves when the claims are held
+     * @throws {Error} If the claims are invalid
+     */
+    async acquire(claims, priority = 0) {
+        claims = ResourcePool.normalize(claims);
+        this.validate(claims);
+        const ahead = new Set(this.#queue.filter(waiter => waiter.priority >= priority).flatMap(waiter => Object.keys(waiter.claims)));
+        if (this.#fits(claims) && !Object.keys(claims).some(name => ahead.has(name))) {
+            this.#take(claims);
+            return;
+        }
+        await new Promise(resolve => {
+            const i = this.#queue.findIndex(waiter => waiter.priority < priority);
+            this.#queue.splice(i === -1 ? this.#queue.length : i, 0, { claims, priority, resolve });
+        });
+    }
+
+    /**
+     * Releases claims, handing the freed capacity to waiting claims that now fit, in priority order.
+     * A waiting claim that does not fit yet holds back the later ones on the same pools, so it cannot starve.
+     * @param {string[]|Object<string, number>} claims - Pool names or weighted claims
+     */
+    release(claims) {
+        for (const [name, weight] of Object.entries(ResourcePool.normalize(claims)))
+            this.#used.set(name, this.#used.get(name) - weight);
+        const blocked = new Set();
+        for (let i = 0; i < this.#queue.length;) {
+            const waiter = this.#queue[i];
+            const names = Object.keys(waiter.claims);
+            if (this.#fits(waiter.claims) && !names.some(name => blocked.has(name))) {
+                this.#take(waiter.claims);
+                this.#queue.splice(i, 1);
+                waiter.resolve();
+            } else {
+                names.forEach(name => blocked.add(name));
+                i++;
+            }
+        }
+    }
+
+    /**
+     * Executes a function while holding claims, automatically acquiring and releasing them.
+     * @param {string[]|Object<string, number>} claims - Pool names or weighted claims
+     * @param {function(): Promise<any>} fn - Function to execute with the claims held
+     * @param {number} [priority=0] - Priority of the claims (higher numbers are served first)
+     * @returns {Promise<any>} The result of the function execution
+     */
+    async withClaims(claims, fn, priority = 0) {
+        await this.acquire(claims, priority);
+        try {
+            return await fn();
+        } finally {
+            this.release(claims);
+        }
+    }
+
+    /**
+     * Checks whether every pool currently has capacity for the claims.
+     * @private
+     * @param {Object<string, number>} claims - Weighted claims
+     * @returns {boolean} True if the claims fit
+     */
+    #fits(claims) {
+        return Object.entries(claims).every(([name, weight]) => this.available(name) >= weight);
+    }
+
+    /**
+     * Marks claims as held.
+     * @private
+     * @param {Object<string, number>} claims - Weighted claims
+     */
+    #take(claims) {
+        for (const [name, weight] of Object.entries(claims))
+            this.#used.set(name, this.#used.get(name) + weight);
+    }
+}
@@ -0,0 +1,171 @@
+import { deepFreeze } from "./Util.js";
+
+/**
+ * Decides whether a failed task attempt is retried, and how long to wait before retrying.
+ * Supports exponential, linear and fixed delays, full or decorrelated jitter, a maximum delay,
+ * a `retryOn` predicate, and `retryAfter` hints carried by errors.
+ */
+export class RetryPolicy {
+    /** @type {"exponential"|"linear"|"fixed"} */
+    #strategy;
+    /** @type {number} */
+    #delay;
+    /** @type {number} */
+    #factor;
+    /** @type {"none"|"full"|"decorrelated"} */
+    #jitter;
+    /** @type {number} */
+    #maxDelay;
+    /** @type {function(Error, number): boolean|null} */
+    #retryOn;
+    /** @type {boolean} */
+    #respectRetryAfter;
+
+    /**
+     * Strategies for how the delay grows with each attempt.
+     * @readonly
+     */
+    static strategies = deepFreeze(["exponential", "linear", "fixed"]);
+
+    /**
+     * Randomizations applied to the delay.
+     * @readonly
+     */
+    static jitters = deepFreeze(["none", "full", "decorrelated"]);
+
+    /**
+     * Creates a new retry policy.
+     * @param {Object} [config={}] - Policy configuration
+     * @param {"exponential"|"linear"|"fixed"} [config.strategy="exponential"] - How the delay grows with each attempt
+     * @param {number} [config.delay=200] - Base delay in milliseconds
+     * @param {number} [config.factor=2] - Growth factor for exponential delays
+     * @param {"none"|"full"|"decorrelated"} [config.jitter="none"] - Randomization applied to the delay
+     * @param {number} [config.maxDelay=Infinity] - Upper bound for the delay in milliseconds
+     * @param {function(Error, number): boolean} [config.retryOn] - Predicate receiving the error and the attempt number, retries only when it returns true
+     * @param {boolean} [config.respectRetryAfter=true] - Wait for the `retryAfter` an error carries instead of the computed delay
+     * @throws {Error} If the strategy or jitter is unknown
+     */
+    constructor({ strategy = "exponential", delay = 200, factor = 2, jitter = "none", maxDelay, retryOn, respectRetryAfter = true } = {}) {
+        if (!RetryPolicy.strategies.includes(strategy))
+            throw new Error(`Invalid retry strategy: ${strategy}`);
+        if (!RetryPolicy.jitters.includes(jitter))
+            throw new Error(`Invalid retry jitter: ${jitter}`);
+        this.#strategy = strategy;
+        this.#delay = delay;
+        this.#factor = factor;
+        this.#jitter = jitter;
+        this.#maxDelay = maxDelay ?? Number.POSITIVE_INFINITY;
+        this.#retryOn = retryOn ?? null;
+        this.#respectRetryAfter = respectRetryAfter;
+    }
+
+    /**
+     * Creates a policy whose delay is multiplied by `factor` on every attempt.
+     * @param {Object} [config={}] - Policy configuration, see the constructor
+     * @returns {RetryPolicy} The retry policy
+     */
+    static exponential(config = {}) { return new RetryPolicy({ ...config, strategy: "exponential" }) }
+
+    /**
+     * Creates a policy whose delay grows by the base delay on every attempt.
+     * @param {Object} [config={}] - Policy configuration, see the constructor
+     * @returns {RetryPolicy} The retry policy
+     */
+    static linear(config = {}) { return new RetryPolicy({ ...config, strategy: "linear" }) }
+
+    /**
+     * Creates a policy that always waits the base delay.
+     * @param {Object} [config={}] - Policy configuration, see the constructor
+     * @returns {RetryPolicy} The retry policy
+     */
+    static fixed(config = {}) { return new RetryPolicy({ ...config, strategy: "fixed" }) }
+
+    /**
+     * Gets how the delay grows with each attempt.
+     * @returns {"exponential"|"linear"|"fixed"} The strategy
+     */
+    get strategy() { return this.#strategy }
+
+    /**
+     * Gets the jitter applied to the delay.
+     * @returns {"none"|"full"|"decorrelated"} The jitter
+     */
+    get jitter() { return this.#jitter }
+
+    /**
+     * Gets the upper bound for the delay.
+     * @returns {number} The maximum delay in milliseconds
+     */
+    get maxDelay() { return this.#maxDelay }
+
+    /**
+     * Checks whether a failed attempt should be retried, ignoring the task's retry limit.
+     * @param {Error} error - The error the attempt failed with
+     * @param {number} attempt - The number of the failed attempt, starting at 1
+     * @returns {boolean} True if the attempt should be retried
+     */
+    shouldRetry(error, attempt) {
+        return this.#retryOn ? !!this.#retryOn(error, attempt) : true;
+    }
+
+    /**
+     * Computes how long to wait before retrying a failed attempt.
+     * @param {number} attempt - The number of the failed attempt, starting at 1
+     * @param {Error} [error] - The error the attempt failed with
+     * @param {number} [previous] - The previous delay, used by decorrelated jitter
+     * @returns {number} The delay in milliseconds
+     */
+    delay(attempt, error, previous) {
+        const retryAfter = this.#respectRetryAfter ? RetryPolicy.retryAfter(error) : null;
+        if (retryAfter != null) return retryAfter;
+        let delay;
+        switch (this.#strategy) {
+            case "exponential":
+                delay = this.#delay * this.#factor ** (attempt - 1);
+                break;
+            case "linear":
+                delay = this.#delay * attempt;
+                break;
+            default:
+                delay = this.#delay;
+        }
+        switch (this.#jitter) {
+            case "full":
+                delay = Math.random() * delay;
+                break;
+            case "decorrelated":
+                delay = this.#delay + Math.random() * (Math.max(previous ?? this.#delay, this.#delay) * 3 - this.#delay);
+                break;
+        }
+        return Math.min(delay, this.#maxDelay);
+    }
+
+    /**
+     * Reads the `retryAfter` hint of an error, as milliseconds or a Date to retry at.
+     * @param {any} error - The error to inspect
+     * @returns {number|null} The milliseconds to wait, or null if the error carries no hint
+     */
+    static retryAfter(error) {
+        const retryAfter = error?.retryAfter;
+        if (retryAfter instanceof Date)
+            return Math.max(0, retryAfter.getTime() - Date.now());
+        if (typeof retryAfter === "number" && retryAfter >= 0)
+            return retryAfter;
+        return null;
+    }
+
+    /**
+     * Converts the policy to a JSON-serializable object.
+     * @returns {Object} JSON representation of the policy
+     */
+    toJSON() {
+        return {
+            strategy: this.#strategy,
+            delay: this.#delay,
+            factor: this.#factor,
+            jitter: this.#jitter,
+            maxDelay: this.#maxDelay === Number.POSITIVE_INFINITY ? null : this.#maxDelay,
+            respectRetryAfter: this.#respectRetryAfter
+        }
+    }
+}
@@ -0,0 +1,429 @@
+import { Signaller } from "./Signaller.js";
+import { Time } from "./Time.js";
+import { deepFreeze } from "./Util.js";
+
+/**
+ * Starts runs of a workflow on a schedule, given as a cron expression or a fixed interval.
+ * Cron expressions are evaluated in the scheduler's time zone. A run that is due while an earlier one is still
+ * executing is skipped, queued or started alongside it, and occurrences missed while the scheduler was stopped
+ * (or the process was down) can be made up when it starts.
+ */
+export class Scheduler {
+    /**
+     * Policies for runs that are due while an earlier run is still executing.
+     * @readonly
+     */
+    static overlaps = deepFreeze(["skip", "queue", "allow"]);
+
+    /**
+     * Shorthands for common cron expressions.
+     * @readonly
+     */
+    static macros = deepFreeze({
+        "@yearly": "0 0 1 1 *",
+        "@annually": "0 0 1 1 *",
+        "@monthly": "0 0 1 * *",
+        "@weekly": "0 0 * * 0",
+        "@daily": "0 0 * * *",
+        "@midnight": "0 0 * * *",
+        "@hourly": "0 * * * *"
+    });
+
+    /**
+     * Ranges and names of the five cron fields, in order.
+     * @private
+     * @readonly
+     */
+    static #fields = deepFreeze([
+        { name: "minute", min: 0, max: 59 },
+        { name: "hour", min: 0, max: 23 },
+        { name: "day", min: 1, max: 31 },
+        { name: "month", min: 1, max: 12, names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"] },
+        { name: "weekday", min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] }
+    ]);
+
+    /** @type {number} */
+    static #day = 24 * 60 * 60 * 1000;
+
+    /** @type {import("./Workflow.js").Workflow} */
+    #workflow;
+    /** @type {string|null} */
+    #cron;
+    /** @type {{minute: Set<number>, hour: Set<number>, day: Set<number>, month: Set<number>, weekday: Set<number>, days: boolean, weekdays: boolean}|null} */
+    #fieldSets;
+    /** @type {number|null} */
+    #every;
+    /** @type {Intl.DateTimeFormat} */
+    #format;
+    /** @type {"skip"|"queue"|"allow"} */
+    #overlap;
+    /** @type {number} */
+    #catchUp;
+    /** @type {Object|function(Date): Object} */
+    #params;
+    /** @type {number|undefined} */
+    #since;
+    /** @type {number|undefined} */
+    #anchor;
+    /** @type {"stopped"|"running"} */
+    #state = "stopped";
+    /** @type {AbortController|undefined} */
+    #controller;
+    /** @type {Set<import("./WorkflowRun.js").WorkflowRun>} */
+    #runs = new Set();
+    /** @type {Date[]} */
+    #queue = [];
+    /** @type {Signaller} */
+    #signaller = new Signaller("start", "stop", "run", "skip", "queue", "miss", "done", "fail");
+
+    /**
+     * Creates a new, stopped scheduler.
+     * @param {import("./Workflow.js").Workflow} workflow - The workflow definition to start runs of
+     * @param {Object} schedule - Schedule configuration, with either `cron` or `every`
+     * @param {string} [schedule.cron] - Cron expression (minute hour day month weekday) or a macro such as "@daily"
+     * @param {number} [schedule.every] - Interval between runs in milliseconds, counted from the first start (or `since`)
+     * @param {string} [schedule.timezone] - IANA time zone the cron expression is evaluated in, defaults to the local one
+     * @param {"skip"|"queue"|"allow"} [schedule.overlap="skip"] - What to do with a run that is due while an earlier one is executing
+     * @param {boolean|number} [schedule.catchUp=false] - How many missed occurrences to make up, `true` for all of them
+     * @param {Date|number} [schedule.since] - Time of the last handled occurrence, e.g. from a previous process, to catch up from
+     * @param {Object|function(Date): Object} [schedule.params={}] - Parameters of each run, or a function of its scheduled time returning them
+     * @throws {Error} If the schedule is invalid or the cron expression never matches
+     * @throws {RangeError} If the time zone is unknown
+     */
+    constructor(workflow, { cron, every, timezone, overlap = "skip", catchUp = false, since, params = {} } = {}) {
+        if ((cron === undefined) === (every === undefined))
+            throw new Error("A schedule needs either a cron expression or an interval");
+        if (every !== undefined && !(every > 0))
+            throw new Error(`Invalid schedule interval: ${every}`);
+        if (!Scheduler.overlaps.includes(overlap))
+            throw new Error(`Invalid overlap policy: ${overlap}`);
+        if (!(typeof catchUp === "boolean" || catchUp >= 0))
+            throw new Error(`Invalid catch-up limit: ${catchUp}`);
+        if (since !== undefined && Number.isNaN(+since))
+            throw new Error(`Invalid schedule start: ${since}`);
+        this.#workflow = workflow;
+        this.#cron = cron ?? null;
+        this.#fieldSets = cron === undefined ? null : Scheduler.#parse(cron);
+        this.#every = every ?? null;
+        this.#format = new Intl.DateTimeFormat("en-US", {
+            timeZone: timezone, hourCycle: "h23",
+            year: "numeric", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric", second: "numeric"
+        });
+        this.#overlap = overlap;
+        this.#catchUp = catchUp === true ? Number.POSITIVE_INFINITY : Number(catchUp);
+        this.#since = since === undefined ? undefined : +since;
+        this.#params = params;
+        if (!this.next())
+            throw new Error(`Cron expression never matches: ${cron}`);
+    }
+
+    /**
+     * Gets the workflow definition the scheduler starts runs of.
+     * @returns {import("./Workflow.js").Workflow} The workflow
+     */
+    get workflow() { return this.#workflow }
+
+    /**
+     * Gets the cron expression of the schedule.
+     * @returns {string|null} The cron expression, or null for an interval schedule
+     */
+    get cron() { return this.#cron }
+
+    /**
+     * Gets the interval of the schedule.
+     * @returns {number|null} The interval in milliseconds, or null for a cron schedule
+     */
+    get every() { return this.#every }
+
+    /**
+     * Gets the time zone cron expressions are evaluated in.
+     * @returns {string} The IANA time zone
+     */
+    get timezone() { return this.#format.resolvedOptions().timeZone }
+
+    /**
+     * Gets the policy for runs that are due while an earlier one is executing.
+     * @returns {"skip"|"queue"|"allow"} The overlap policy
+     */
+    get overlap() { return this.#overlap }
+
+    /**
+     * Gets the maximum number of missed occurrences made up at once.
+     * @returns {number} The catch-up limit, Infinity for all of them
+     */
+    get catchUp() { return this.#catchUp }
+
+    /**
+     * Gets the current state of the scheduler.
+     * @returns {"stopped"|"running"} The scheduler state
+     */
+    get state() { return this.#state }
+
+    /**
+     * Gets the runs started by the scheduler that are still executing.
+     * @returns {import("./WorkflowRun.js").WorkflowRun[]} Array of active runs
+     */
+    get runs() { return Array.from(this.#runs) }
+
+    /**
+     * Gets the scheduled times of the queued runs.
+     * @returns {Date[]} Array of scheduled times
+     */
+    get queued() { return Array.from(this.#queue) }
+
+    /**
+     * Gets the time of the last handled occurrence, to persist and pass back as `since` after a restart.
+     * @returns {Date|null} The time, or null if the scheduler never started
+     */
+    get since() { return this.#since === undefined ? null : new Date(this.#since) }
+
+    /**
+     * Computes the first occurrence of the schedule after a point in time.
+     * @param {Date|number} [after=Date.now()] - The point in time
+     * @returns {Date|null} The next occurrence, or null if a cron expression does not match within 8 years
+     */
+    next(after = Date.now()) {
+        after = +after;
+        if (this.#every) {
+            const anchor = this.#anchor ?? this.#since ?? after;
+            return new Date(anchor + (Math.floor((after - anchor) / this.#every) + 1) * this.#every);
+        }
+        const { minute, hour, month } = this.#fieldSets;
+        let wall = Math.floor(this.#wall(after) / 60000) * 60000 + 60000;
+        const limit = Date.UTC(new Date(wall).getUTCFullYear() + 8, 0);
+        while (wall < limit) {
+            const date = new Date(wall);
+            const [y, mo, d, h] = [date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours()];
+            if (!month.has(mo + 1)) wall = Date.UTC(y, mo + 1, 1);
+            else if (!this.#matchesDay(d, date.getUTCDay())) wall = Date.UTC(y, mo, d + 1);
+            else if (!hour.has(h)) wall = Date.UTC(y, mo, d, h + 1);
+            else if (!minute.has(date.getUTCMinutes())) wall += 60000;
+            else {
+                const at = this.#instant(wall);
+                if (at > after) return new Date(at);
+                wall += 60000;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Starts the scheduler. Occurrences since the last handled one are made up first, as far as `catchUp` allows.
+     * @throws {Error} If the scheduler is already running or the workflow is invalid
+     */
+    start() {
+        if (this.#state === "running")
+            throw new Error(`Scheduler of workflow ${this.#workflow.id} is already running`);
+        this.#workflow.validate();
+        this.#since ??= Date.now();
+        this.#anchor ??= this.#since;
+        this.#state = "running";
+        this.#controller = new AbortController();
+        this.#signaller.emit("start", { next: this.next(this.#since) });
+        this.#loop(this.#controller.signal);
+    }
+
+    /**
+     * Stops the scheduler and drops the queued runs. Runs that are executing are left to finish, unless aborted.
+     * @param {Object} [options={}] - Stop options
+     * @param {boolean} [options.abort=false] - Whether to abort the executing runs
+     * @returns {Promise<void>} Promise that resolves once the executing runs settled
+     */
+    async stop({ abort = false } = {}) {
+        if (this.#state === "running") {
+            this.#state = "stopped";
+            this.#controller.abort();
+            this.#queue.length = 0;
+            this.#signaller.emit("stop", { since: this.since });
+        }
+        if (abort)
+            this.#runs.forEach(run => ["executing", "paused"].includes(run.state) && run.abort());
+        await Promise.allSettled(Array.from(this.#runs, run => run.done));
+    }
+
+    /**
+     * Registers an event listener.
+     * @param {string|string[]} event - Event name(s) to listen for: start, stop, run, skip, queue, miss, done, fail or "*"
+     * @param {function} cb - Callback function
+     * @param {AbortSignal} [signal] - Optional abort signal for cleanup
+     * @returns {function} Cleanup function to remove the listener(s)
+     * @throws {Error} If any event is invalid
+     */
+    on(event, cb, signal) { return this.#signaller.on(event, cb, signal) }
+
+    /**
+     * Registers a one-time event listener.
+     * @param {string|string[]} event - Event name(s) to listen for
+     * @param {function} cb - Callback function
+     */
+    once(event, cb) { this.#signaller.once(event, cb) }
+
+    /**
+     * Removes an event listener.
+     * @param {string|string[]} event - Event name(s) to stop listening for
+     * @param {function} cb - Callback function to remove
+     */
+    off(event, cb) { this.#signaller.off(event, cb) }
+
+    /**
+     * Waits for the next occurrence and handles every due one, until the scheduler stops.
+     * @private
+     * @param {AbortSignal} signal - Signal that aborts when the scheduler stops
+     * @returns {Promise<void>}
+     */
+    async #loop(signal) {
+        while (!signal.aborted) {
+            const delay = this.next(this.#since) - Date.now();
+            if (delay > 0) { // wake up at least every minute, so clock changes and system sleep are noticed
+                await Time.wait(Math.min(delay, Time.minutes(1)), signal).catch(() => {});
+                continue;
+            }
+            const since = this.#since;
+            let due = [], missed = 0;
+            for (let at = this.next(since); at && at <= Date.now(); at = this.next(at)) {
+                due.push(at);
+                if (due.length > this.#catchUp + 1) {
+                    due.shift();
+                    missed++;
+                }
+            }
+            this.#since = due.at(-1).getTime();
+            if (missed)
+                this.#signaller.emit("miss", { count: missed, since: new Date(since), until: due[0] });
+            due.forEach(scheduledAt => this.#fire(scheduledAt));
+        }
+    }
+
+    /**
+     * Starts, queues or skips a due run according to the overlap policy.
+     * @private
+     * @param {Date} scheduledAt - The occurrence the run is due for
+     */
+    #fire(scheduledAt) {
+        if (this.#runs.size && this.#overlap === "skip")
+            this.#signaller.emit("skip", { scheduledAt });
+        else if (this.#runs.size && this.#overlap === "queue") {
+            this.#queue.push(scheduledAt);
+            this.#signaller.emit("queue", { scheduledAt });
+        } else this.#start(scheduledAt);
+    }
+
+    /**
+     * Starts a run of the workflow and, once it settled, the next queued one.
+     * @private
+     * @param {Date} scheduledAt - The occurrence the run is due for
+     */
+    #start(scheduledAt) {
+        let run;
+        try {
+            run = this.#workflow.run(typeof this.#params === "function" ? this.#params(scheduledAt) : this.#params);
+        } catch (error) {
+            this.#signaller.emit("fail", { scheduledAt, error });
+            return;
+        }
+        this.#runs.add(run);
+        this.#signaller.emit("run", { scheduledAt, run });
+        run.done.then(
+            results => this.#signaller.emit("done", { scheduledAt, run, results }),
+            error => this.#signaller.emit("fail", { scheduledAt, run, error })
+        ).finally(() => {
+            this.#runs.delete(run);
+            if (this.#queue.length) this.#start(this.#queue.shift());
+        });
+    }
+
+    /**
+     * Checks whether a date matches the day and weekday fields. Like in cron, a date matches either of them if both are restricted.
+     * @private
+     * @param {number} day - Day of the month
+     * @param {number} weekday - Day of the week, 0 being Sunday
+     * @returns {boolean} True if the date matches
+     */
+    #matchesDay(day, weekday) {
+        const { day: days, weekday: weekdays } = this.#fieldSets;
+        if (this.#fieldSets.days && this.#fieldSets.weekdays)
+            return days.has(day) || weekdays.has(weekday);
+        return days.has(day) && weekdays.has(weekday);
+    }
+
+    /**
+     * Gets the wall-clock time in the scheduler's time zone at an instant, as milliseconds of a UTC date.
+     * @private
+     * @param {number} t - The instant
+     * @returns {number} The wall-clock time
+     */
+    #wall(t) {
+        const parts = Object.fromEntries(this.#format.formatToParts(t).map(({ type, value }) => [type, Number(value)]));
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    }
+
+    /**
+     * Gets the instant of a wall-clock time in the scheduler's time zone. Times repeated when the clocks go back
+     * resolve to their first instant, times skipped when they go forward to the instant after the gap.
+     * @private
+     * @param {number} wall - The wall-clock time, as milliseconds of a UTC date
+     * @returns {number} The instant
+     */
+    #instant(wall) {
+        const offset = t => this.#wall(t) - Math.floor(t / 1000) * 1000;
+        const before = wall - offset(wall - Scheduler.#day);
+        const after = wall - offset(wall + Scheduler.#day);
+        const valid = [before, after].filter(t => this.#wall(t) === wall);
+        return valid.length ? Math.min(...valid) : before;
+    }
+
+    /**
+     * Parses a cron expression into the values each field matches.
+     * @private
+     * @param {string} expression - Cron expression or macro
+     * @returns {{minute: Set<number>, hour: Set<number>, day: Set<number>, month: Set<number>, weekday: Set<number>, days: boolean, weekdays: boolean}} The field values, and whether day and weekday are restricted
+     * @throws {Error} If the expression is invalid
+     */
+    static #parse(expression) {
+        const fields = String(Scheduler.macros[expression] ?? expression).trim().split(/\s+/);
+        if (fields.length !== 5)
+            throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+        const [minute, hour, day, month, weekday] = fields.map((field, i) => Scheduler.#values(field, Scheduler.#fields[i], expression));
+        if (weekday.delete(7)) weekday.add(0);
+        return { minute, hour, day, month, weekday, days: fields[2] !== "*", weekdays: fields[4] !== "*" };
+    }
+
+    /**
+     * Parses one cron field: `*`, values, names, ranges and steps, separated by commas (e.g. "1-5", "*\/15", "mon,wed").
+     * @private
+     * @param {string} field - The field
+     * @param {{name: string, min: number, max: number, names?: string[]}} range - Range and names of the field
+     * @param {string} expression - The whole expression, for error messages
+     * @returns {Set<number>} The values the field matches
+     * @throws {Error} If the field is invalid
+     */
+    static #values(field, { name, min, max, names }, expression) {
+        const values = new Set();
+        for (const part of field.split(",")) {
+            const invalid = () => new Error(`Invalid ${name} in cron expression "${expression}": ${part}`);
+            const value = token => {
+                const i = names?.indexOf(token.toLowerCase()) ?? -1;
+                const n = i !== -1 ? i + min : /^\d+$/.test(token) ? Number(token) : NaN;
+                if (!(n >= min && n <= max)) throw invalid();
+                return n;
+            };
+            const match = /^(\*|\w+)(?:-(\w+))?(?:\/(\d+))?$/.exec(part);
+            if (!match || (match[1] === "*" && match[2]) || Number(match[3]) === 0)
+                throw invalid();
+            const [, start, end, step = "1"] = match;
+            const from = start === "*" ? min : value(start);
+            const to = end ? value(end) : start === "*" || match[3] ? max : from;
+            if (from > to) throw invalid();
+            for (let n = from; n <= to; n += Number(step)) values.add(n);
+        }
+        return values;
+    }
+
+    /**
+     * Returns a string representation of the scheduler.
+     * @returns {string} String representation
+     */
+    toString() {
+        return `<Scheduler: workflow='${this.#workflow.id}', schedule='${this.#cron ?? `every ${this.#every}ms`}', state='${this.#state}', runs=${this.#runs.size}>`;
+    }
+}
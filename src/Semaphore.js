@@ -1,13 +1,16 @@
+import { Heap } from "./Heap.js";
+
 /**
  * A semaphore implementation for controlling concurrent access to resources.
  * Limits the number of concurrent operations to a specified maximum.
+ * Waiting operations receive permits in priority order, and in FIFO order among equal priorities.
  */
 export class Semaphore {
     /** @type {number} */
     #max;
     /** @type {number} */
     #active;
-    /** @type {function[]} */
+    /** @type {Heap<{priority: number, resolve: function}>} */
     #queue;
     
     /**
@@ -17,7 +20,7 @@ export class Semaphore {
     constructor(max) {
         this.#max = max;
         this.#active = 0;
-        this.#queue = [];
+        this.#queue = new Heap((a, b) => b.priority - a.priority);
     }
     
     /**
@@ -39,44 +42,46 @@ export class Semaphore {
     get max() { return this.#max }
     
     /**
-     * Gets a copy of the current queue of waiting operations.
+     * Gets a copy of the current queue of waiting operations, in the order they will be served.
      * @returns {function[]} Array of queued resolve functions
      */
-    get queue() { return Array.from(this.#queue) }
+    get queue() { return this.#queue.toArray().map(waiter => waiter.resolve) }
 
     /**
      * Acquires a permit from the semaphore.
      * If no permits are available, waits until one becomes available.
+     * @param {number} [priority=0] - Priority of the operation (higher numbers are served first)
      * @returns {Promise<void>} Promise that resolves when a permit is acquired
      */
-    async acquire() {
+    async acquire(priority = 0) {
         if (this.#active < this.#max) {
             this.#active++;
             return;
         }
-        await new Promise(resolve => this.#queue.push(resolve));
-        this.#active++;
+        await new Promise(resolve => this.#queue.push({ priority, resolve }));
     }
 
     /**
      * Releases a permit back to the semaphore.
-     * If there are waiting operations, the next one will be allowed to proceed.
+     * If there are waiting operations, the permit is handed to the one with the highest priority.
      */
     release() {
-        this.#active--;
-        if (this.#queue.length > 0) {
-            const resolve = this.#queue.shift();
-            resolve();
+        if (this.#queue.size > 0) {
+            // the permit passes straight to the waiter, so no new caller can take it in between
+            this.#queue.pop().resolve();
+            return;
         }
+        this.#active--;
     }
 
     /**
      * Executes a function with a semaphore lock, automatically acquiring and releasing.
      * @param {function(): Promise<any>} fn - Function to execute with the lock
+     * @param {number} [priority=0] - Priority of the operation (higher numbers are served first)
      * @returns {Promise<any>} The result of the function execution
      */
-    async withLock(fn) {
-        await this.acquire();
+    async withLock(fn, priority = 0) {
+        await this.acquire(priority);
         try {
             return await fn();
         } finally {
@@ -33,12 +33,13 @@ export class Signaller {
     stream(event) {
         const events = Array.isArray(event) ? event : [event];
         const self = this;
+        let off;
         return new ReadableStream({
             start(controller) {
-                controller.off = self.on(events, data => controller.enqueue(data));
+                off = self.on(events, data => controller.enqueue(data));
             },
-            cancel(controller) {
-                controller?.off();
+            cancel() {
+                off();
             }
         });
     }
@@ -91,6 +91,16 @@ export class StateMachineManager {
         return fsm;
     }
 
+    /**
+     * Forwards every event of another manager through this one, namespacing the instance IDs.
+     * @param {StateMachineManager} manager - The manager whose events to forward
+     * @param {string} namespace - Namespace prepended to forwarded IDs as `<namespace>/<id>`
+     * @returns {function} Cleanup function to stop forwarding
+     */
+    adopt(manager, namespace) {
+        return manager.on("*", (event, ctx) => this.#signaller.emit(event, { ...ctx, id: `${namespace}/${ctx.id}` }));
+    }
+
     /**
      * Creates a stream for state machine events.
      * @param {string|string[]} event - Event name(s) to stream
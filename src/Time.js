@@ -23,13 +23,22 @@ export class Time {
     /**
      * Waits/sleeps for a specified amount of time.
      * @param {number} ms - Number of milliseconds to wait
+     * @param {AbortSignal} [signal] - Optional abort signal that ends the wait early
      * @returns {Promise<void>} Promise that resolves after the specified time
+     * @throws {any} The abort reason if the signal aborts before the time is up
      */
-    static async wait(ms) {
-        if (ms === Number.POSITIVE_INFINITY)
+    static async wait(ms, signal) {
+        signal?.throwIfAborted();
+        if (ms === Number.POSITIVE_INFINITY && !signal)
             await this.forever();
-        let handle;
-        await new Promise(res => handle = setTimeout(res, ms)).finally(() => clearTimeout(handle));
+        let handle, abort;
+        await new Promise((res, rej) => {
+            if (ms !== Number.POSITIVE_INFINITY) handle = setTimeout(res, ms);
+            signal?.addEventListener("abort", abort = () => rej(signal.reason), { once: true });
+        }).finally(() => {
+            clearTimeout(handle);
+            signal?.removeEventListener("abort", abort);
+        });
     }
 
     /**
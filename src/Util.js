@@ -1,3 +1,5 @@
+import { createHash } from "crypto";
+
 /**
  * Recursively freezes an object and all its nested properties.
  * @param {any} obj - Object to freeze
@@ -7,4 +9,16 @@ export function deepFreeze(obj) {
     if (obj === null || typeof obj !== "object") return obj;
     Object.keys(obj).forEach(key => deepFreeze(obj[key]));
     return Object.freeze(obj);
-}
\ No newline at end of file
+}
+/**
+ * Hashes a JSON-serializable value, independent of the order of object keys.
+ * @param {any} value - Value to hash
+ * @returns {string} Hex-encoded SHA-256 digest
+ * @throws {TypeError} If the value cannot be serialized, e.g. because it is circular or holds a BigInt
+ */
+export function digest(value) {
+    const canonical = JSON.stringify(value, (_, v) => v !== null && typeof v === "object" && !Array.isArray(v)
+        ? Object.fromEntries(Object.keys(v).sort().map(key => [key, v[key]]))
+        : v);
+    return createHash("sha256").update(canonical ?? "undefined").digest("hex");
+}
@@ -0,0 +1,17 @@
+/**
+ * An error that reports every problem found while validating a graph or workflow at once.
+ * Each issue is a plain object with a `type` ("missing", "cycle" or "duplicate"), a human readable `message`
+ * and the IDs involved: `id` and `dependency` for missing dependencies, `path` for cycles, `id` for duplicates.
+ */
+export class ValidationError extends Error {
+    /**
+     * Creates a new validation error.
+     * @param {{type: string, message: string}[]} issues - The problems found
+     */
+    constructor(issues) {
+        super(`Validation failed with ${issues.length} issue${issues.length === 1 ? "" : "s"}:\n` + issues.map(issue => `  - ${issue.message}`).join("\n"));
+        this.name = "ValidationError";
+        /** @type {{type: string, message: string}[]} */
+        this.issues = issues;
+    }
+}
@@ -1,9 +1,19 @@
 import { DAG } from "./DAG.js";
+import { Heap } from "./Heap.js";
+import { Logger } from "./Logger.js";
+import { RateLimiter } from "./RateLimiter.js";
+import { ResourcePool } from "./ResourcePool.js";
+import { RetryPolicy } from "./RetryPolicy.js";
 import { Semaphore } from "./Semaphore.js";
 import { StateMachine } from "./StateMachine.js";
 import { StateMachineManager } from "./StateMachineManager.js";
 import { Time } from './Time.js';
-import { deepFreeze } from "./Util.js";
+import { MemoryCache } from "./MemoryCache.js";
+import { deepFreeze, digest } from "./Util.js";
+import { ValidationError } from "./ValidationError.js";
+import { DeadlineError } from "./DeadlineError.js";
+import { QueueTimeoutError } from "./QueueTimeoutError.js";
+import { WorkflowRun } from "./WorkflowRun.js";
 
 /**
  * Represents a single unit of work in a workflow with state management, retry logic, and dependency handling.
@@ -29,8 +39,56 @@ export class Task {
     #error;
     /** @type {number|null} */
     #timeout;
+    /** @type {number|null} */
+    #queueTimeout;
     /** @type {number} */
     #backoff;
+    /** @type {RetryPolicy} */
+    #retry;
+    /** @type {number|undefined} */
+    #retryDelay;
+    /** @type {boolean} */
+    #willRetry = false;
+    /** @type {Object<string, number>} */
+    #resources;
+    /** @type {string|null} */
+    #group;
+    /** @type {function(...any): boolean|Promise<boolean>|null} */
+    #when;
+    /** @type {"skip"|"run"} */
+    #onSkipped;
+    /** @type {any} */
+    #params;
+    /** @type {string[]} */
+    #tags;
+    /** @type {boolean} */
+    #context;
+    /** @type {Task|null} */
+    #parent;
+    /** @type {string|null} */
+    #over;
+    /** @type {Object|null} */
+    #each;
+    /** @type {Workflow|null} */
+    #nested;
+    /** @type {Set<string>} */
+    #optional;
+    /** @type {"all_success"|"all_done"|"one_success"|"one_failed"|"none_failed"} */
+    #trigger;
+    /** @type {{version?: string, inputs?: function(Object): any, store?: MemoryCache|import("./FileCache.js").FileCache}|null} */
+    #cache;
+    /** @type {string|null} */
+    #cacheKey = null;
+    /** @type {boolean} */
+    #cached = false;
+    /** @type {Logger|null} */
+    #logger = null;
+    /** @type {number|null} */
+    #startedAt = null;
+    /** @type {number|null} */
+    #endedAt = null;
+    /** @type {AbortController|null} */
+    #controller = null;
     /** @type {StateMachine} */
     #fsm;
 
@@ -43,41 +101,109 @@ export class Task {
         transitions: {
             add: { from: "created", to: "pending" },
             start: { from: "pending", to: "running" },
-            cancel: { from: "pending", to: "cancelled" },
+            cancel: { from: ["pending", "running"], to: "cancelled" },
+            skip: { from: "pending", to: "skipped" },
             succeed: { from: "running", to: "succeeded" },
             fail: { from: "running", to: "failed" },
             timeout: { from: "running", to: "failed" },
+            expire: { from: "pending", to: "failed" },
             retry: { from: "failed", to: "pending" },
+            restore: { from: "pending", to: "succeeded" },
+            cached: { from: "pending", to: "succeeded" },
+            reset: { from: ["succeeded", "failed", "cancelled", "skipped"], to: "pending" },
+            throttle: { from: "pending", to: "pending" },
             remove: { from: "*", to: "removed" },
         }
     });
 
+    /**
+     * Trigger rules, deciding from the outcomes of its dependencies whether a task runs.
+     * @readonly
+     */
+    static triggers = deepFreeze(["all_success", "all_done", "one_success", "one_failed", "none_failed"]);
+
     /**
      * Creates a new task instance.
      * @param {Workflow} workflow - The workflow this task belongs to
      * @param {function(...any): Promise<any>} work - The work function to execute
      * @param {Object} [config={}] - Task configuration
      * @param {string} [config.id] - Unique identifier for the task
-     * @param {string[]} [config.reliesOn=[]] - Array of task IDs this task depends on
+     * @param {(string|{id: string, optional?: boolean})[]} [config.reliesOn=[]] - Array of task IDs this task depends on, or dependency objects marking optional ones
      * @param {number} [config.priority=0] - Task priority (higher numbers execute first)
      * @param {number} [config.retryLimit=0] - Maximum number of retry attempts
      * @param {number} [config.timeout] - Task timeout in milliseconds
+     * @param {number} [config.queueTimeout] - Maximum time in milliseconds the ready task waits for its resource pool claims and a concurrency slot before it fails
      * @param {number} [config.backoff=200] - Base backoff time for retries in milliseconds
+     * @param {RetryPolicy|Object} [config.retry] - Retry policy, or options for one, defaults to exponential backoff from `backoff`
+     * @param {string[]|Object<string, number>} [config.resources] - Resource pools the task claims while it runs, by name or with weights
+     * @param {string} [config.group] - Rate limit group whose limiter every attempt takes a token from
+     * @param {function(...any): boolean|Promise<boolean>} [config.when] - Predicate receiving the dependency results (or `{ id, inputs, params }` with the context signature), the task is skipped when it returns false
+     * @param {"skip"|"run"} [config.onSkipped="skip"] - Whether to skip too, or run with `undefined` inputs, when a dependency was skipped
+     * @param {"all_success"|"all_done"|"one_success"|"one_failed"|"none_failed"} [config.trigger="all_success"] - Rule deciding from the outcomes of the dependencies whether the task runs
+     * @param {boolean|Object} [config.cache] - Cache the result by task ID, version and inputs, and succeed from the cache without running when they are unchanged
+     * @param {string} [config.cache.version] - Version of the work function, change it to stop using earlier results
+     * @param {function(Object): any} [config.cache.inputs] - Derives the inputs hashed into the cache key from `{ id, inputs, params }`, defaults to the dependency results and parameters
+     * @param {MemoryCache|import("./FileCache.js").FileCache} [config.cache.store] - Store for the results, defaults to the workflow's
+     * @param {any} [config.params] - Static parameters handed to the work function in its attempt context
+     * @param {string[]} [config.tags=[]] - Tags for selecting the task, e.g. as a target
+     * @param {boolean} [config.context=false] - Call the work function with the attempt context as its only argument, instead of the positional dependency results
+     * @param {Task} [config.parent] - The map task that spawned the task as one of its children
+     * @param {string} [config.over] - ID of the dependency a map task maps over, set by `Workflow.map()`
+     * @param {Object} [config.each] - JSON-serializable options of a map task's children, set by `Workflow.map()`
+     * @param {Workflow} [config.nested] - The workflow an `addWorkflow()` task runs, set by `Workflow.addWorkflow()`
      */
     constructor(workflow, work, config = {}) {
         this.#workflow = workflow;
         this.#work = work;
         this.#id = config.id ?? crypto.randomUUID();
-        this.#reliesOn = config.reliesOn ?? [];
+        const dependencies = Task.normalize(config.reliesOn);
+        this.#reliesOn = dependencies.map(dep => dep.id);
+        this.#optional = new Set(dependencies.filter(dep => dep.optional).map(dep => dep.id));
         this.#priority = config.priority ?? 0;
         this.#retryLimit = config.retryLimit ?? 0;
         this.#timeout = config.timeout ?? null;
+        this.#queueTimeout = config.queueTimeout ?? null;
         this.#backoff = config.backoff ?? 200;
+        this.#resources = ResourcePool.normalize(config.resources);
+        this.#group = config.group ?? null;
+        this.#retry = config.retry instanceof RetryPolicy ? config.retry : new RetryPolicy({ delay: this.#backoff, ...config.retry });
+        this.#when = config.when ?? null;
+        this.#onSkipped = config.onSkipped ?? "skip";
+        this.#params = config.params;
+        this.#tags = config.tags ?? [];
+        this.#context = config.context ?? false;
+        this.#parent = config.parent ?? null;
+        this.#over = config.over ?? null;
+        this.#each = config.each ?? null;
+        this.#nested = config.nested ?? null;
+        this.#trigger = config.trigger ?? "all_success";
+        this.#cache = config.cache === true ? {} : config.cache || null;
+        if (!Task.triggers.includes(this.#trigger))
+            throw new Error(`Invalid trigger rule: ${this.#trigger}`);
         this.#attempts = 0;
         this.#fsm = this.#workflow.taskManager.register(this.#id, this);
         this.#fsm.invoke("add");
-        this.onAfter("start", () => this.#error = undefined);
-        this.onAfter("cancel", () => this.#error = new Error("Task was cancelled!"));
+        this.onAfter("start", () => {
+            this.#error = undefined;
+            this.#startedAt ??= Date.now();
+        });
+        this.onEnter(["succeeded", "failed", "cancelled"], () => this.#endedAt = Date.now());
+        this.onAfter("cancel", () => this.#error = this.#workflow.error ?? new Error("Task was cancelled!"));
+        this.onBefore("expire", () => {
+            this.#error = new QueueTimeoutError(this.#id, this.#queueTimeout);
+            this.#willRetry = false;
+        });
+        this.onBefore("reset", () => {
+            this.#result = undefined;
+            this.#error = undefined;
+            this.#attempts = 0;
+            this.#willRetry = false;
+            this.#retryDelay = undefined;
+            this.#cached = false;
+            this.#cacheKey = null;
+            this.#startedAt = null;
+            this.#endedAt = null;
+        });
         this.onAfter("remove", () => this.#workflow.taskManager.unregister(this.id));
     }
 
@@ -93,6 +219,75 @@ export class Task {
      */
     get reliesOn() { return Array.from(this.#reliesOn); }
 
+    /**
+     * Gets the workflow the task belongs to.
+     * @returns {Workflow} The workflow
+     */
+    get workflow() { return this.#workflow; }
+
+    /**
+     * Gets the map task that spawned the task as one of its children.
+     * @returns {Task|null} The map task, or null for tasks added to the workflow
+     */
+    get parent() { return this.#parent; }
+
+    /**
+     * Gets how the task was added: with `add()`, `map()` or `addWorkflow()`.
+     * @returns {"task"|"map"|"workflow"} The kind of task
+     */
+    get kind() { return this.#nested ? "workflow" : this.#over !== null ? "map" : "task"; }
+
+    /**
+     * Gets the ID of the dependency a map task maps over.
+     * @returns {string|null} The dependency ID, or null if the task is not a map task
+     */
+    get over() { return this.#over; }
+
+    /**
+     * Gets the nested workflow an `addWorkflow()` task runs.
+     * @returns {Workflow|null} The nested workflow, or null
+     */
+    get nested() { return this.#nested; }
+
+    /**
+     * Gets the IDs of the optional dependencies, whose failure counts as success for the trigger rule.
+     * @returns {string[]} Array of optional dependency task IDs
+     */
+    get optional() { return Array.from(this.#optional); }
+
+    /**
+     * Gets the rule deciding from the outcomes of the dependencies whether the task runs.
+     * @returns {"all_success"|"all_done"|"one_success"|"one_failed"|"none_failed"} The trigger rule
+     */
+    get trigger() { return this.#trigger; }
+
+    /**
+     * Gets the cache configuration of the task.
+     * @returns {{version?: string, inputs?: function(Object): any, store?: Object}|null} The cache configuration, or null if the result is not cached
+     */
+    get cache() { return this.#cache; }
+
+    /**
+     * Gets the cache key of the latest execution.
+     * @returns {string|null} The cache key, or null if the task has not looked up the cache
+     */
+    get cacheKey() { return this.#cacheKey; }
+
+    /**
+     * Checks whether the result came from the cache instead of the work function.
+     * @returns {boolean} True if the task succeeded from the cache
+     */
+    get cached() { return this.#cached; }
+
+    /**
+     * Normalizes dependencies to objects, where a task ID is a required dependency.
+     * @param {(string|{id: string, optional?: boolean})[]} [reliesOn] - Task IDs or dependency objects
+     * @returns {{id: string, optional: boolean}[]} Dependency objects
+     */
+    static normalize(reliesOn) {
+        return (reliesOn ?? []).map(dep => typeof dep === "string" ? { id: dep, optional: false } : { id: dep.id, optional: !!dep.optional });
+    }
+
     /**
      * Gets the task priority.
      * @returns {number} The priority value
@@ -117,12 +312,88 @@ export class Task {
      */
     get timeout() { return this.#timeout; }
 
+    /**
+     * Gets the maximum time the ready task waits for its resource pool claims and a concurrency slot.
+     * @returns {number|null} The queue timeout in milliseconds or null
+     */
+    get queueTimeout() { return this.#queueTimeout; }
+
     /**
      * Gets the backoff time for retries.
      * @returns {number} The backoff time in milliseconds
      */
     get backoff() { return this.#backoff; }
 
+    /**
+     * Gets the retry policy for this task.
+     * @returns {RetryPolicy} The retry policy
+     */
+    get retry() { return this.#retry; }
+
+    /**
+     * Gets the resource pool claims of this task.
+     * @returns {Object<string, number>} Weighted claims keyed by pool name
+     */
+    get resources() { return { ...this.#resources }; }
+
+    /**
+     * Gets the rate limit group of this task.
+     * @returns {string|null} The group name or null
+     */
+    get group() { return this.#group; }
+
+    /**
+     * Gets the delay before the latest retry.
+     * @returns {number|undefined} The delay in milliseconds, or undefined if the task has not been retried
+     */
+    get retryDelay() { return this.#retryDelay; }
+
+    /**
+     * Checks whether the latest failure will be retried.
+     * @returns {boolean} True if the task will be retried, false otherwise
+     */
+    get willRetry() { return this.#willRetry; }
+
+    /**
+     * Gets how the task treats skipped dependencies.
+     * @returns {"skip"|"run"} "skip" to skip too, "run" to run with `undefined` inputs
+     */
+    get onSkipped() { return this.#onSkipped; }
+
+    /**
+     * Gets how long the task has taken, from the start of its first attempt until it settled, including retries.
+     * @returns {number|null} The duration in milliseconds, or null if the task never started
+     */
+    get duration() {
+        if (this.#startedAt === null) return null;
+        if (this.state === "pending" || this.state === "running" || this.#endedAt === null) return Date.now() - this.#startedAt;
+        return this.#endedAt - this.#startedAt;
+    }
+
+    /**
+     * Gets the tags of the task.
+     * @returns {string[]} Array of tags
+     */
+    get tags() { return Array.from(this.#tags); }
+
+    /**
+     * Gets the static parameters handed to the work function.
+     * @returns {any} The parameters
+     */
+    get params() { return this.#params; }
+
+    /**
+     * Checks whether the work function is called with the attempt context as its only argument.
+     * @returns {boolean} True if the task uses the context signature
+     */
+    get context() { return this.#context; }
+
+    /**
+     * Gets the logger handed to the work function, scoped to the task ID.
+     * @returns {Logger} The scoped logger
+     */
+    get logger() { return this.#logger ??= this.#workflow.logger.scope(this.#id); }
+
     /**
      * Gets the result of the task execution.
      * @returns {any} The task result
@@ -148,15 +419,73 @@ export class Task {
     clear(event) { this.#fsm.clear(event); }
 
     /**
-     * Cancels the task.
+     * Cancels the task, aborting the signal of the running attempt if there is one.
+     * Tasks relying on a cancelled task are cancelled too. Tasks cancelled because the workflow
+     * reached its deadline carry the workflow's `DeadlineError`.
+     */
+    cancel() {
+        this.#fsm.invoke("cancel");
+        this.#controller?.abort(this.#error);
+    }
+
+    /**
+     * Fails the pending task with a `QueueTimeoutError`, because it waited longer than its `queueTimeout` for a slot.
+     * Called by the workflow, failures are not retried.
+     * @throws {Error} If the task is not pending
      */
-    cancel() { this.#fsm.invoke("cancel"); }
+    expire() {
+        this.#fsm.invoke("expire");
+        this.#controller?.abort(this.#error);
+    }
+
+    /**
+     * Takes a token from the rate limiter of the task's group, firing `throttle` if the pending task has to wait for one.
+     * Called by the workflow before every attempt. Cancelling or expiring the task gives up the wait.
+     * @returns {Promise<void>} Promise that resolves when a token was taken, right away if the group is not rate limited
+     * @throws {Error} The task's error if it was cancelled or expired while waiting
+     */
+    async throttle() {
+        const limiter = this.#workflow.limiter(this.#group);
+        if (!limiter || this.state !== "pending" || limiter.tryAcquire())
+            return;
+        this.#fsm.invoke("throttle");
+        const controller = this.#controller = new AbortController();
+        try {
+            await limiter.acquire(controller.signal);
+        } finally {
+            this.#controller = null;
+        }
+    }
+
+    /**
+     * Skips the task, so it will not run.
+     */
+    skip() { this.#fsm.invoke("skip"); }
 
     /**
      * Removes the task from the workflow.
      */
     remove() { this.#fsm.invoke("remove"); }
 
+    /**
+     * Resets a settled task to `pending`, clearing its result, error and attempts, so it runs again in the workflow's next phase.
+     * @throws {Error} If the task has not settled
+     */
+    reset() { this.#fsm.invoke("reset"); }
+
+    /**
+     * Marks the task as succeeded with a previously persisted result, without executing it.
+     * @param {Object} [snapshot={}] - Persisted task data
+     * @param {any} [snapshot.result] - The stored task result
+     * @param {number} [snapshot.attempts=0] - The stored number of attempts
+     * @throws {Error} If the task is not pending
+     */
+    restore({ result, attempts } = {}) {
+        this.#result = result;
+        this.#attempts = attempts ?? 0;
+        this.#fsm.invoke("restore");
+    }
+
     /**
      * Registers an event listener for task state changes.
      * @param {string|string[]} event - Event name(s) to listen for
@@ -207,50 +536,249 @@ export class Task {
      */
     onAfter(transition, cb, signal) { return this.#fsm.onAfter(transition, cb, signal) }
 
+    /**
+     * Keys dependency results by the IDs of the dependencies.
+     * @private
+     * @param {any[]} depResults - Results from dependency tasks, in `reliesOn` order
+     * @returns {Object<string, any>} The results keyed by task ID
+     */
+    #inputs(depResults) {
+        return Object.fromEntries(this.#reliesOn.map((id, i) => [id, depResults[i]]));
+    }
+
+    /**
+     * Merges the task's parameters over the workflow's, unless the task's are not an object.
+     * @private
+     * @returns {any} The parameters handed to the work function
+     */
+    #mergedParams() {
+        const own = this.#params;
+        if (own === undefined)
+            return this.#workflow.params;
+        if (own === null || typeof own !== "object" || Array.isArray(own))
+            return own;
+        return { ...this.#workflow.params, ...own };
+    }
+
     /**
      * Attempts to execute the task work function.
+     * The work function receives the dependency results followed by the attempt context, or only the
+     * attempt context if the task uses the context signature, and runs inside the workflow's plugins. The context holds the dependency results
+     * keyed by task ID, an `AbortSignal` for the attempt (aborted on timeout, cancellation or workflow abort),
+     * the attempt number, a scoped logger and the parameters.
      * @private
      * @param {any[]} depResults - Results from dependency tasks
+     * @param {Object} [extra={}] - Additional context fields, overriding the defaults
      * @returns {Promise<any>} The task result
-     * @throws {Error} If the task was removed or times out
+     * @throws {Error} If the task was removed, cancelled or times out
      */
-    async #attempt(depResults) {
+    async #attempt(depResults, extra = {}) {
         await this.#workflow.checkPause();
         if (this.state === "removed")
             throw new Error(`Task ${this.id} was removed before execution`);
+        if (this.state === "cancelled")
+            throw this.#error;
+        const controller = this.#controller = new AbortController();
+        const { signal } = controller;
         this.#fsm.invoke("start");
-        let work = this.#work(...depResults);
+        const aborted = new Promise((_, reject) => signal.addEventListener("abort", () => reject(signal.reason), { once: true }));
+        const context = {
+            id: this.#id,
+            attempt: this.#attempts + 1,
+            inputs: this.#inputs(depResults),
+            signal,
+            logger: this.logger,
+            params: this.#mergedParams(),
+            ...extra
+        };
+        const attempt = { task: this, args: Array.from(depResults), context };
+        const call = () => this.#context ? this.#work(attempt.context) : this.#work(...attempt.args, attempt.context);
+        const plugins = this.#workflow.plugins;
+        let work = Promise.race([plugins.length ? this.#intercept(plugins, attempt, call) : call(), aborted]);
         if (this.#timeout != null)
-            work = Time.timeout(work, this.#timeout, () => this.#fsm.invoke("timeout"));
-        this.#result = await work;
+            work = Time.timeout(work, this.#timeout, () => {
+                this.#error = new Error(`Timed out after ${this.#timeout}ms`);
+                this.#willRetry = this.#shouldRetry(this.#error);
+                this.#fsm.invoke("timeout");
+                controller.abort(this.#error);
+            });
+        try {
+            this.#result = await work;
+        } finally {
+            this.#controller = null;
+        }
+        if (this.#cacheKey !== null) {
+            await this.#save(this.#result);
+            if (this.state === "cancelled")
+                throw this.#error;
+        }
         this.#fsm.invoke("succeed");
         return this.#result;
     }
 
+    /**
+     * Computes the cache key from the task ID, version and inputs, and looks up the result.
+     * Inputs that cannot be hashed and failing stores are logged and count as misses.
+     * @private
+     * @param {any[]} depResults - Results from dependency tasks
+     * @param {Object} extra - Additional context fields
+     * @returns {Promise<{value: any}|undefined>} The cached result, or undefined on a miss
+     */
+    async #lookup(depResults, extra) {
+        const { version = null, inputs, store = this.#workflow.cache } = this.#cache;
+        const context = { id: this.#id, inputs: this.#inputs(depResults), params: this.#mergedParams(), ...extra };
+        this.#cacheKey = null;
+        try {
+            this.#cacheKey = digest({ id: this.#id, version, inputs: inputs ? await inputs(context) : { inputs: context.inputs, params: context.params } });
+            return await store.get(this.#id, this.#cacheKey);
+        } catch (error) {
+            this.logger.warn(`Cache lookup failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Stores the result under the cache key. Failing stores, e.g. for results that cannot be serialized, are logged.
+     * @private
+     * @param {any} result - The task result
+     * @returns {Promise<void>}
+     */
+    async #save(result) {
+        const { store = this.#workflow.cache } = this.#cache;
+        try {
+            await store.set(this.#id, this.#cacheKey, result);
+        } catch (error) {
+            this.logger.warn(`Could not cache the result: ${error.message}`);
+        }
+    }
+
+    /**
+     * Runs an attempt through the plugin pipeline, each plugin wrapping the ones after it.
+     * @private
+     * @param {{plugin: Object, options: Object}[]} plugins - The plugins, outermost first
+     * @param {{task: Task, args: any[], context: Object}} attempt - The attempt, which hooks may change
+     * @param {function(): Promise<any>} call - Calls the work function with the attempt's arguments
+     * @returns {Promise<any>} The result, as changed by the plugins
+     */
+    async #intercept(plugins, attempt, call) {
+        const next = async i => {
+            if (i === plugins.length)
+                return call();
+            const { plugin, options } = plugins[i];
+            await plugin.before?.(attempt, options);
+            let result;
+            try {
+                result = plugin.around ? await plugin.around(attempt, () => next(i + 1), options) : await next(i + 1);
+            } catch (error) {
+                const recovered = await plugin.error?.(attempt, error, options);
+                if (recovered === undefined)
+                    throw error;
+                result = recovered;
+            }
+            const replaced = await plugin.after?.(attempt, result, options);
+            return replaced === undefined ? result : replaced;
+        };
+        return next(0);
+    }
+
     /**
      * Executes the task with retry logic and dependency results.
      * @param {any[]} depResults - Results from dependency tasks
-     * @returns {Promise<any>} The task result
+     * @param {Object} [extra={}] - Additional fields for the attempt context, e.g. the element of a map child
+     * @returns {Promise<any>} The task result, or undefined if the task was skipped
      * @throws {Error} If the task is cancelled or fails after all retries
      */
-    async execute(depResults) {
+    async execute(depResults, extra = {}) {
+        if (!await this.prepare(depResults, extra))
+            return this.#result;
+        return this.perform(depResults, extra);
+    }
+
+    /**
+     * Decides whether the work function has to run, by checking the `when` predicate and looking up the cache.
+     * Called by the workflow before the task waits for a rate limit token, its resource claims and a slot,
+     * so skipped and cached tasks never take them.
+     * @param {any[]} depResults - Results from dependency tasks
+     * @param {Object} [extra={}] - Additional fields for the attempt context, e.g. the element of a map child
+     * @returns {Promise<boolean>} False if the task was skipped or succeeded from the cache
+     * @throws {Error} If the task is cancelled or its `when` predicate throws
+     */
+    async prepare(depResults, extra = {}) {
         if (this.state === "cancelled")
             throw this.#error;
-        for (this.#attempts = 0; this.#attempts <= this.#retryLimit; this.#attempts++) {
+        if (this.state === "skipped")
+            return false;
+        if (this.#when) {
+            let proceed;
             try {
-                return await this.#attempt(depResults);
+                proceed = await (this.#context
+                    ? this.#when({ id: this.#id, inputs: this.#inputs(depResults), params: this.#mergedParams(), ...extra })
+                    : this.#when(...depResults));
             } catch (error) {
+                this.cancel();
                 this.#error = error;
-                if (this.state !== "failed")
+                throw error;
+            }
+            if (!proceed) {
+                this.skip();
+                return false;
+            }
+        }
+        if (this.#cache) {
+            const hit = await this.#lookup(depResults, extra);
+            if (this.state === "cancelled")
+                throw this.#error;
+            if (hit) {
+                this.#result = hit.value;
+                this.#cached = true;
+                this.#fsm.invoke("cached");
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Runs the work function with retry logic, once `prepare()` decided that it has to run.
+     * Every attempt is started through `acquire`, so nothing is held while the task waits to retry.
+     * @param {any[]} depResults - Results from dependency tasks
+     * @param {Object} [extra={}] - Additional fields for the attempt context, e.g. the element of a map child
+     * @param {function(function(): Promise<any>): Promise<any>} [acquire] - Starts an attempt once the task may run it, the workflow's
+     *   waits for a rate limit token, the resource claims and a concurrency slot; defaults to taking the rate limit token
+     * @returns {Promise<any>} The task result
+     * @throws {Error} If the task is cancelled or fails after all retries
+     */
+    async perform(depResults, extra = {}, acquire = async attempt => { await this.throttle(); return attempt(); }) {
+        this.#retryDelay = undefined;
+        for (this.#attempts = 0; this.#attempts <= this.#retryLimit; this.#attempts++) {
+            try {
+                return await acquire(() => this.#attempt(depResults, extra));
+            } catch (error) {
+                if (this.state === "cancelled")
+                    throw this.#error;
+                if (this.state !== "failed") {
+                    this.#error = error;
+                    this.#willRetry = this.#shouldRetry(error);
                     this.#fsm.invoke("fail");
-                if (this.#attempts === this.#retryLimit)
+                }
+                if (!this.#willRetry)
                     throw this.#error;
+                this.#retryDelay = this.#retry.delay(this.#attempts + 1, this.#error, this.#retryDelay);
                 this.#fsm.invoke("retry");
-                await Time.wait(2 ** this.#attempts * this.#backoff);
+                await Time.wait(this.#retryDelay);
             }
         }
     }
 
+    /**
+     * Checks whether the current attempt may be retried after failing with an error.
+     * @private
+     * @param {Error} error - The error the attempt failed with
+     * @returns {boolean} True if the retry limit and the retry policy allow another attempt
+     */
+    #shouldRetry(error) {
+        return this.#attempts < this.#retryLimit && this.#retry.shouldRetry(error, this.#attempts + 1);
+    }
+
     /**
      * Custom inspection method for Node.js.
      * @returns {string} String representation of the task
@@ -267,12 +795,29 @@ export class Task {
             state: this.state,
             result: this.result,
             error: this.error?.toString(),
+            kind: this.kind,
+            over: this.over,
+            each: this.#each,
+            workflow: this.#nested?.toJSON() ?? null,
             reliesOn: this.reliesOn,
+            optional: this.optional,
+            when: this.#when !== null,
+            onSkipped: this.onSkipped,
+            trigger: this.trigger,
             priority: this.priority,
             timeout: this.timeout,
+            queueTimeout: this.queueTimeout,
             backoff: this.backoff,
+            retry: this.retry.toJSON(),
             retryLimit: this.retryLimit,
-            attempts: this.attempts
+            resources: this.resources,
+            group: this.group,
+            params: this.params,
+            tags: this.tags,
+            context: this.context,
+            attempts: this.attempts,
+            duration: this.duration,
+            cached: this.cached
         }
     }
 
@@ -305,10 +850,59 @@ export class Workflow {
     #pause;
     /** @type {Semaphore} */
     #semaphore;
+    /** @type {ResourcePool} */
+    #pools;
+    /** @type {Map<string, RateLimiter>} */
+    #limiters;
     /** @type {string} */
     #id;
     /** @type {Set<string>} */
     #toRemove;
+    /** @type {"skip"|"run"} */
+    #onSkipped;
+    /** @type {Set<string>} */
+    #mapTasks;
+    /** @type {boolean} */
+    #strict;
+    /** @type {Map<string, number>} */
+    #duplicates;
+    /** @type {Map<string, {method: "add"|"map"|"addWorkflow", work?: function, workflow?: Workflow, config: Object}>} */
+    #definitions;
+    /** @type {Object} */
+    #params;
+    /** @type {Logger} */
+    #logger;
+    /** @type {number} */
+    #runs = 0;
+    /** @type {{plugin: Object, options: Object, order: number, cleanup?: function}[]} */
+    #plugins = [];
+    /** @type {MemoryCache|import("./FileCache.js").FileCache} */
+    #cache;
+    /** @type {number} */
+    #phase = 1;
+    /** @type {number|Date|null} */
+    #deadline;
+    /** @type {number|null} */
+    #expiresAt = null;
+    /** @type {NodeJS.Timeout|undefined} */
+    #deadlineHandle;
+    /** @type {DeadlineError|undefined} */
+    #error;
+
+    /**
+     * Orders tasks by descending priority. Kept as a single function so the DAG can reuse its cached order.
+     * @private
+     * @param {{payload: Task}} a - First vertex
+     * @param {{payload: Task}} b - Second vertex
+     * @returns {number} Comparison result
+     */
+    static #byPriority = (a, b) => b.payload.priority - a.payload.priority;
+
+    /**
+     * Largest delay `setTimeout` supports, longer ones fire right away.
+     * @private
+     */
+    static #maxDelay = 2 ** 31 - 1;
 
     /**
      * State machine definition for workflow lifecycle management.
@@ -321,22 +915,119 @@ export class Workflow {
             "pause": { from: "executing", to: "paused" },
             "resume": { from: "paused", to: "executing" },
             "end": { from: ["executing", "paused"], to: "done" },
-            "abort": { from: ["executing", "paused"], to: "aborted" }
+            "abort": { from: ["executing", "paused"], to: "aborted" },
+            "expire": { from: ["executing", "paused"], to: "aborted" },
+            "reset": { from: ["done", "aborted"], to: "idle" }
         }
     });
 
+    /**
+     * Fill colors of tasks by state, used by `toDot()` and `toMermaid()`.
+     * @readonly
+     */
+    static stateColors = deepFreeze({
+        created: "#ffffff",
+        pending: "#e0e0e0",
+        running: "#87cefa",
+        succeeded: "#90ee90",
+        failed: "#f08080",
+        cancelled: "#ffd27f",
+        skipped: "#d8bfd8",
+        removed: "#a9a9a9"
+    });
+
+    /**
+     * Fields allowed in workflow and task definitions, each with a check and a description for error messages.
+     * @private
+     */
+    static #definitionFields = {
+        workflow: {
+            id: [value => typeof value === "string" && value !== "", "a non-empty string"],
+            maxConcurrent: [value => Number.isInteger(value) && value > 0, "a positive integer"],
+            onSkipped: [value => value === "skip" || value === "run", `"skip" or "run"`],
+            strict: [value => typeof value === "boolean", "true or false"],
+            params: [value => Workflow.#isObject(value), "an object"],
+            deadline: [value => typeof value === "number" && value > 0, "a positive number of milliseconds"],
+            pools: [value => Workflow.#isObject(value) && Object.values(value).every(capacity => typeof capacity === "number" && capacity > 0), "an object of positive capacities"],
+            rateLimits: [value => Workflow.#isObject(value) && Object.values(value).every(limit => Workflow.#isObject(limit)), "an object of rate limit options"],
+            tasks: [value => Array.isArray(value), "an array of tasks"]
+        },
+        task: {
+            id: [value => typeof value === "string" && value !== "", "a non-empty string"],
+            handler: [value => typeof value === "string" && value !== "", "a non-empty string"],
+            workflow: [() => true, "a workflow definition"],
+            over: [value => typeof value === "string" && value !== "", "a task ID"],
+            reliesOn: [value => Array.isArray(value) && value.every(dep => typeof dep === "string" || Workflow.#isObject(dep) && typeof dep.id === "string" && Object.keys(dep).every(key => key === "id" || key === "optional")), "an array of task IDs or { id, optional } objects"],
+            priority: [value => Number.isFinite(value), "a number"],
+            retryLimit: [value => Number.isInteger(value) && value >= 0, "a non-negative integer"],
+            timeout: [value => value === null || typeof value === "number" && value > 0, "a positive number of milliseconds or null"],
+            queueTimeout: [value => value === null || typeof value === "number" && value > 0, "a positive number of milliseconds or null"],
+            backoff: [value => Number.isFinite(value) && value >= 0, "a non-negative number of milliseconds"],
+            retry: [value => Workflow.#isObject(value), "an object of retry policy options"],
+            resources: [value => Array.isArray(value) ? value.every(name => typeof name === "string") : Workflow.#isObject(value), "an array of pool names or an object of weights"],
+            group: [value => typeof value === "string", "a rate limit group name"],
+            onSkipped: [value => value === "skip" || value === "run", `"skip" or "run"`],
+            params: [() => true, "any JSON value"],
+            tags: [value => Array.isArray(value) && value.every(tag => typeof tag === "string"), "an array of strings"],
+            context: [value => typeof value === "boolean", "true or false"],
+            cache: [value => typeof value === "boolean" || Workflow.#isObject(value) && Object.entries(value).every(([key, version]) => key === "version" && typeof version === "string"), `true, false or { version }`],
+            trigger: [value => Task.triggers.includes(value), `one of ${Task.triggers.map(rule => `"${rule}"`).join(", ")}`]
+        }
+    };
+
+    /**
+     * Default labels and colors of tasks in diagrams.
+     * @private
+     */
+    static #diagramOptions = {
+        label: ({ payload: task }) => {
+            const lines = [task.id, `${task.state} · priority ${task.priority}`];
+            if (task.retryLimit > 0)
+                lines.push(`retries ${task.attempts}/${task.retryLimit} · ${task.retry.strategy}`);
+            if (task.timeout != null)
+                lines.push(`timeout ${task.timeout}ms`);
+            return lines.join("\n");
+        },
+        color: ({ payload: task }) => Workflow.stateColors[task.state]
+    };
+
     /**
      * Creates a new workflow instance.
      * @param {Object} [config={}] - Configuration options
      * @param {number} [config.maxConcurrent=1] - Maximum number of concurrent tasks
      * @param {string} [config.id] - Unique identifier for the workflow
+     * @param {Object<string, number>|ResourcePool} [config.pools] - Capacity of named resource pools that tasks can claim, or a pool shared with other workflows
+     * @param {Object<string, RateLimiter|Object>} [config.rateLimits] - Rate limiters, or options for them, keyed by task group
+     * @param {"skip"|"run"} [config.onSkipped="skip"] - Default for how tasks treat skipped dependencies
+     * @param {boolean} [config.strict=false] - Reject tasks with duplicate IDs or dependencies that were not added yet in `add()`, instead of when the workflow begins
+     * @param {import("./Journal.js").Journal} [config.journal] - Journal that records every workflow and task transition
+     * @param {Object} [config.params={}] - Parameters handed to every task in its attempt context, under the task's own
+     * @param {Logger} [config.logger] - Logger that the loggers handed to the tasks are scoped from
+     * @param {MemoryCache|import("./FileCache.js").FileCache} [config.cache] - Store for the results of tasks with a `cache` option, defaults to a new `MemoryCache`
+     * @param {number|Date} [config.deadline] - Time limit in milliseconds from when the workflow begins, or a point in time, after which it is aborted with a `DeadlineError`
+     * @throws {Error} If the deadline is invalid
      */
     constructor(config = {}) {
+        if (config.deadline != null && !(config.deadline instanceof Date ? !Number.isNaN(config.deadline.getTime()) : config.deadline > 0))
+            throw new Error(`Invalid deadline: ${config.deadline}`);
         this.#semaphore = new Semaphore(config.maxConcurrent ?? 1);
+        this.#pools = config.pools instanceof ResourcePool ? config.pools : new ResourcePool(config.pools);
+        this.#limiters = new Map(Object.entries(config.rateLimits ?? {}).map(([group, limiter]) => {
+            return [group, limiter instanceof RateLimiter ? limiter : new RateLimiter(limiter)];
+        }));
         this.#dag = new DAG();
         this.#processed = new Map();
         this.#pause = null;
         this.#toRemove = new Set();
+        this.#onSkipped = config.onSkipped ?? "skip";
+        this.#mapTasks = new Set();
+        this.#strict = config.strict ?? false;
+        this.#duplicates = new Map();
+        this.#definitions = new Map();
+        this.#params = config.params ?? {};
+        this.#logger = config.logger ?? new Logger();
+        this.#cache = config.cache ?? new MemoryCache();
+        this.#deadline = config.deadline ?? null;
         this.#id = config.id ?? crypto.randomUUID();
         this.#fsm = new StateMachine(Workflow.stateDef, this.#id, this);
         /** @type {StateMachineManager} */
@@ -345,16 +1036,32 @@ export class Workflow {
         this.onEnter("paused", () => this.#pause = Promise.withResolvers());
         this.onLeave("paused", () => this.#pause = this.#pause.resolve());
         this.onEnter("aborted", () => {
-            this.getOrdered().filter(t => t.state === "pending").forEach(t => t.cancel());
+            this.getOrdered().filter(t => t.state === "pending" || t.state === "running").forEach(t => t.cancel());
         });
 
-        this.onBefore(["end", "abort"], () => {
+        this.onBefore("reset", () => {
+            this.#processed.clear();
+            this.#phase++;
+            this.#expiresAt = null;
+            this.#error = undefined;
+        });
+
+        this.onAfter("begin", () => {
+            if (this.#deadline === null) return;
+            this.#expiresAt = this.#deadline instanceof Date ? this.#deadline.getTime() : Date.now() + this.#deadline;
+            this.#watchDeadline();
+        });
+        this.onEnter(["done", "aborted"], () => clearTimeout(this.#deadlineHandle));
+
+        this.onBefore(["end", "abort", "expire"], () => {
             this.#toRemove.forEach(t => {
                 this.#dag.removeVertex(t);
                 this.#processed.delete(t);
             });
             this.#toRemove.clear();
         });
+
+        config.journal?.attach(this);
     }
 
     /**
@@ -363,6 +1070,48 @@ export class Workflow {
      */
     get id() { return this.#id }
 
+    /**
+     * Gets the parameters handed to every task in its attempt context.
+     * @returns {Object} The workflow parameters
+     */
+    get params() { return this.#params }
+
+    /**
+     * Gets the logger that the loggers handed to the tasks are scoped from.
+     * @returns {Logger} The workflow logger
+     */
+    get logger() { return this.#logger }
+
+    /**
+     * Gets the store for the results of tasks with a `cache` option.
+     * @returns {MemoryCache|import("./FileCache.js").FileCache} The cache store
+     */
+    get cache() { return this.#cache }
+
+    /**
+     * Gets the number of the current phase, which grows every time tasks are rerun after the workflow ended.
+     * @returns {number} The phase, starting at 1
+     */
+    get phase() { return this.#phase }
+
+    /**
+     * Gets the deadline of the workflow, as configured.
+     * @returns {number|Date|null} The time limit in milliseconds, the point in time, or null
+     */
+    get deadline() { return this.#deadline }
+
+    /**
+     * Gets the point in time the workflow is aborted at, set when it begins.
+     * @returns {Date|null} The point in time, or null if there is no deadline or the workflow has not begun
+     */
+    get expiresAt() { return this.#expiresAt === null ? null : new Date(this.#expiresAt) }
+
+    /**
+     * Gets the error the workflow was aborted with when it reached its deadline.
+     * @returns {DeadlineError|undefined} The error, or undefined
+     */
+    get error() { return this.#error }
+
     /**
      * Gets the current state of the workflow.
      * @returns {string} The current state
@@ -387,6 +1136,58 @@ export class Workflow {
      */
     get active() { return this.#semaphore.active }
 
+    /**
+     * Gets the resource pools of the workflow.
+     * @returns {ResourcePool} The resource pools
+     */
+    get pools() { return this.#pools }
+
+    /**
+     * Gets the rate limiter of a task group.
+     * @param {string|null} group - The group name
+     * @returns {RateLimiter|undefined} The rate limiter or undefined if the group is not rate limited
+     */
+    limiter(group) { return group == null ? undefined : this.#limiters.get(group) }
+
+    /**
+     * Gets the registered plugins with their options, in the order they wrap task attempts (outermost first).
+     * @returns {{plugin: Object, options: Object, order: number}[]} Array of plugin registrations
+     */
+    get plugins() { return this.#plugins.map(({ plugin, options, order }) => ({ plugin, options, order })) }
+
+    /**
+     * Registers a plugin, which wraps every task attempt and can react to the workflow lifecycle.
+     * Each hook is optional and receives the plugin options as its last argument. The attempt object
+     * holds the `task`, the positional `args` and the attempt `context`, which hooks may change.
+     * @param {Object} plugin - The plugin
+     * @param {string} [plugin.name] - Name of the plugin
+     * @param {number} [plugin.order=0] - Position in the pipeline, lower orders wrap higher ones
+     * @param {function(Workflow, Object): function|void} [plugin.setup] - Called on registration, e.g. to listen to workflow events, and may return a cleanup function
+     * @param {function(Object, Object): void|Promise<void>} [plugin.before] - Called before the attempt
+     * @param {function(Object, function(): Promise<any>, Object): Promise<any>} [plugin.around] - Wraps the attempt, which runs when it calls the function it gets
+     * @param {function(Object, any, Object): any} [plugin.after] - Called with the result, returns a replacement unless undefined
+     * @param {function(Object, Error, Object): any} [plugin.error] - Called with the error, recovers with the returned value unless undefined, throws to replace the error
+     * @param {Object} [options={}] - Plugin options
+     * @param {number} [options.order] - Overrides the plugin's order
+     * @returns {function} Cleanup function to remove the plugin
+     * @throws {Error} If the plugin is not an object
+     */
+    use(plugin, options = {}) {
+        if (plugin === null || typeof plugin !== "object")
+            throw new Error(`Invalid plugin: ${plugin}`);
+        const order = options.order ?? plugin.order ?? 0;
+        const registration = { plugin, options, order };
+        const i = this.#plugins.findIndex(other => other.order > order);
+        this.#plugins.splice(i === -1 ? this.#plugins.length : i, 0, registration);
+        registration.cleanup = plugin.setup?.(this, options);
+        return () => {
+            const i = this.#plugins.indexOf(registration);
+            if (i === -1) return;
+            this.#plugins.splice(i, 1);
+            registration.cleanup?.();
+        };
+    }
+
     /**
      * Registers an event listener for workflow state changes.
      * @param {string|string[]} event - Event name(s) to listen for
@@ -475,7 +1276,326 @@ export class Workflow {
      * Gets all tasks in topological order, sorted by priority.
      * @returns {Task[]} Array of tasks in execution order
      */
-    getOrdered() { return this.#dag.topoSort((a, b) => b.payload.priority - a.payload.priority) }
+    getOrdered() { return this.#dag.topoSort(Workflow.#byPriority) }
+
+    /**
+     * Selects tasks by ID, glob pattern (`*` and `?`, e.g. `"parse*"`) or tag (`"tag:nightly"`), together with every task they depend on.
+     * @param {string|string[]} selectors - Selectors for the target tasks
+     * @returns {Task[]} The selected tasks in topological order
+     * @throws {Error} If a selector matches no task
+     */
+    select(selectors) {
+        const selected = this.#select(selectors);
+        return this.getOrdered().filter(task => selected.has(task.id));
+    }
+
+    /**
+     * Resolves target selectors to the IDs of the targets and their ancestors.
+     * @private
+     * @param {string|string[]} selectors - Selectors for the target tasks
+     * @returns {Set<string>} IDs of the selected tasks
+     * @throws {Error} If a selector matches no task
+     */
+    #select(selectors) {
+        const selected = new Set();
+        for (const task of this.#match(selectors)) {
+            selected.add(task.id);
+            this.#dag.ancestors(task.id).forEach(v => selected.add(v.id));
+        }
+        return selected;
+    }
+
+    /**
+     * Finds the tasks matching selectors, without their dependencies.
+     * @private
+     * @param {string|string[]} selectors - Task IDs, glob patterns or `tag:<name>` selectors
+     * @returns {Task[]} The matching tasks
+     * @throws {Error} If a selector matches no task
+     */
+    #match(selectors) {
+        const matched = [];
+        for (const selector of [selectors].flat()) {
+            let matches;
+            if (selector.startsWith("tag:")) {
+                matches = this.getOrdered().filter(task => task.tags.includes(selector.slice(4)));
+            } else if (/[*?]/.test(selector)) {
+                const pattern = new RegExp(`^${selector.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".")}$`);
+                matches = this.getOrdered().filter(task => pattern.test(task.id));
+            } else {
+                matches = [this.getTask(selector)].filter(Boolean);
+            }
+            if (!matches.length)
+                throw new Error(`No task matches target: ${selector}`);
+            matched.push(...matches);
+        }
+        return matched;
+    }
+
+    /**
+     * Resets the failed and cancelled tasks to `pending`, keeping the results of the succeeded ones.
+     * If the workflow ended, it returns to `idle`, and iterating it again runs the reset tasks as a new phase.
+     * @param {Object} [options={}] - Rerun options
+     * @param {boolean} [options.withDescendants=false] - Also reset every task depending on a reset task
+     * @returns {Task[]} The reset tasks
+     * @throws {Error} If the workflow is executing or paused
+     */
+    retryFailed(options = {}) {
+        return this.#rerun(this.getOrdered().filter(task => task.state === "failed" || task.state === "cancelled"), options);
+    }
+
+    /**
+     * Resets the selected tasks to `pending`, together with any of their dependencies that failed or were cancelled,
+     * keeping the results of the other tasks. If the workflow ended, it returns to `idle`, and iterating it again runs
+     * the reset tasks as a new phase, along with selected tasks that are still `pending`, e.g. because an earlier phase
+     * ran other targets.
+     * @param {string|string[]} selectors - Task IDs, glob patterns or `tag:<name>` selectors
+     * @param {Object} [options={}] - Rerun options
+     * @param {boolean} [options.withDescendants=false] - Also reset every task depending on a selected task
+     * @returns {Task[]} The reset tasks
+     * @throws {Error} If a selector matches no task, or the workflow is executing or paused
+     */
+    rerun(selectors, options = {}) {
+        return this.#rerun(this.#match(selectors), options);
+    }
+
+    /**
+     * Resets tasks, their failed and cancelled dependencies and optionally their descendants, and the workflow if it ended.
+     * @private
+     * @param {Task[]} tasks - The tasks to rerun
+     * @param {Object} options - Rerun options
+     * @param {boolean} [options.withDescendants=false] - Also reset every task depending on a rerun task
+     * @returns {Task[]} The reset tasks
+     * @throws {Error} If the workflow is executing or paused
+     */
+    #rerun(tasks, { withDescendants = false }) {
+        if (this.state === "executing" || this.state === "paused")
+            throw new Error(`Cannot rerun tasks of workflow ${this.id} while it is ${this.state}`);
+        const ids = new Set(tasks.map(task => task.id));
+        if (withDescendants)
+            tasks.forEach(task => this.#dag.descendants(task.id).forEach(v => ids.add(v.id)));
+        for (const id of Array.from(ids)) {
+            this.#dag.ancestors(id).forEach(v => {
+                if (v.payload.state === "failed" || v.payload.state === "cancelled") ids.add(v.id);
+            });
+        }
+        const reset = this.getOrdered().filter(task => ids.has(task.id) && task.state !== "pending");
+        // tasks an earlier phase left out with its targets are still pending, and only need the workflow to run again
+        const waiting = tasks.some(task => task.state === "pending");
+        if ((reset.length || waiting) && (this.state === "done" || this.state === "aborted"))
+            this.#fsm.invoke("reset");
+        reset.forEach(task => task.reset());
+        return reset;
+    }
+
+    /**
+     * Deletes the cached results of the selected tasks and of every task depending on them, directly or
+     * transitively, so they run again even if a re-run selected task returns the same result as before.
+     * @param {string|string[]} selectors - Task IDs, glob patterns or `tag:<name>` selectors
+     * @returns {Promise<string[]>} IDs of the cached tasks whose results were deleted
+     * @throws {Error} If a selector matches no task
+     */
+    async invalidate(selectors) {
+        const ids = new Set();
+        for (const task of this.#match(selectors)) {
+            ids.add(task.id);
+            this.#dag.descendants(task.id).forEach(v => ids.add(v.id));
+        }
+        const invalidated = this.getOrdered().filter(task => ids.has(task.id) && task.cache);
+        await Promise.all(invalidated.map(task => (task.cache.store ?? this.#cache).invalidate(task.id)));
+        return invalidated.map(task => task.id);
+    }
+
+    /**
+     * Gets every task the specified task depends on, directly or transitively.
+     * @param {string} id - The task ID
+     * @returns {Task[]|undefined} Array of tasks, nearest first, or undefined if the task is not found
+     */
+    ancestors(id) { return this.#dag.ancestors(id)?.map(v => v.payload) }
+
+    /**
+     * Gets every task that depends on the specified task, directly or transitively.
+     * @param {string} id - The task ID
+     * @returns {Task[]|undefined} Array of tasks, nearest first, or undefined if the task is not found
+     */
+    descendants(id) { return this.#dag.descendants(id)?.map(v => v.payload) }
+
+    /**
+     * Groups the tasks into execution waves, where each task's dependencies are all in earlier waves.
+     * @returns {Task[][]} Array of waves, each an array of tasks
+     */
+    levels() { return this.#dag.levels().map(level => level.map(v => v.payload)) }
+
+    /**
+     * Finds the chain of dependent tasks with the longest total duration, which is what sets the total runtime.
+     * Tasks that never started count as taking no time.
+     * @returns {{tasks: Task[], duration: number}} The tasks on the chain, in execution order, and their total duration in milliseconds
+     */
+    criticalPath() {
+        const { path, length } = this.#dag.criticalPath(({ payload: task }) => task.duration ?? 0);
+        return { tasks: path.map(v => v.payload), duration: length };
+    }
+
+    /**
+     * Works out what running the workflow would do, without running any work: the waves of tasks that can run
+     * in parallel, in priority order within each wave, an estimate of the total runtime, and any validation issues.
+     * The estimate replays the scheduler with `maxConcurrent` slots on the duration hints, ignoring resource pools and rate limits.
+     * @param {Object} [options={}] - Plan options
+     * @param {Object<string, number>|function(Task): number} [options.durations] - Duration hints in milliseconds, by task ID or as a function
+     * @param {number} [options.defaultDuration=0] - Duration assumed for tasks without a hint
+     * @param {string|string[]} [options.targets] - Only plan these tasks and the tasks they depend on, see `select()`
+     * @returns {{waves: Object[][], makespan: number, criticalPath: {tasks: string[], duration: number}, maxConcurrent: number, issues: Object[]}} The plan
+     * @throws {Error} If a target selector matches no task
+     */
+    plan({ durations, defaultDuration = 0, targets } = {}) {
+        const selected = targets ? this.#select(targets) : new Set(this.getOrdered().map(task => task.id));
+        const dag = this.#dag.subgraph(selected);
+        const estimate = task => {
+            if (task.state === "succeeded") return 0;
+            const hint = typeof durations === "function" ? durations(task) : durations?.[task.id];
+            return hint ?? defaultDuration;
+        };
+        const waves = dag.levels().map(level => level
+            .map(v => v.payload)
+            .sort((a, b) => b.priority - a.priority)
+            .map(task => ({
+                id: task.id,
+                priority: task.priority,
+                reliesOn: task.reliesOn,
+                state: task.state,
+                estimate: estimate(task),
+                missing: task.reliesOn.filter(id => !this.getTask(id))
+            })));
+        // replay the scheduler: ready tasks take free slots by priority, dependents become ready as tasks finish
+        const entries = new Map(waves.flat().map(entry => [entry.id, entry]));
+        const remaining = new Map(Array.from(entries.keys(), id => [id, dag.getEdges(id).filter(Boolean).length]));
+        const ready = new Heap((a, b) => b.priority - a.priority);
+        const running = new Heap((a, b) => a.end - b.end);
+        waves[0]?.forEach(entry => ready.push(entry));
+        let makespan = 0;
+        while (ready.size || running.size) {
+            while (ready.size && running.size < this.#semaphore.max) {
+                const entry = ready.pop();
+                running.push({ entry, end: makespan + entry.estimate });
+            }
+            const { entry, end } = running.pop();
+            makespan = end;
+            for (const dependent of dag.getDependents(entry.id)) {
+                remaining.set(dependent.id, remaining.get(dependent.id) - 1);
+                if (remaining.get(dependent.id) === 0)
+                    ready.push(entries.get(dependent.id));
+            }
+        }
+        const { path, length } = dag.criticalPath(({ payload: task }) => estimate(task));
+        let issues = [];
+        try {
+            this.validate();
+        } catch (err) {
+            if (!(err instanceof ValidationError)) throw err;
+            issues = err.issues;
+        }
+        return {
+            waves,
+            makespan,
+            criticalPath: { tasks: path.map(v => v.id), duration: length },
+            maxConcurrent: this.#semaphore.max,
+            issues
+        };
+    }
+
+    /**
+     * Logs the execution plan in a readable form, see `plan()`.
+     * @param {Logger} [logger=new Logger()] - Logger to print through
+     * @param {Object} [options={}] - Plan options, see `plan()`
+     * @returns {Object} The plan
+     */
+    printPlan(logger = new Logger(), options = {}) {
+        const plan = this.plan(options);
+        const count = plan.waves.reduce((sum, wave) => sum + wave.length, 0);
+        logger.info(`Plan for workflow ${this.id}: ${count} tasks in ${plan.waves.length} waves, ${plan.maxConcurrent} at a time`);
+        plan.waves.forEach((wave, i) => {
+            logger.info(`Wave ${i + 1}: ` + wave.map(entry => {
+                const details = [`priority ${entry.priority}`];
+                if (entry.estimate) details.push(`~${entry.estimate}ms`);
+                if (entry.state === "succeeded") details.push("done");
+                return `${entry.id} (${details.join(", ")})`;
+            }).join(", "));
+        });
+        logger.info(`Estimated makespan: ${plan.makespan}ms, critical path ${plan.criticalPath.duration}ms: ${plan.criticalPath.tasks.join(" -> ")}`);
+        plan.issues.forEach(issue => logger.warn(issue.message));
+        return plan;
+    }
+
+    /**
+     * Checks the workflow for dependencies on unknown tasks, dependency cycles and duplicate task IDs.
+     * Runs automatically before the workflow begins.
+     * @throws {ValidationError} If any issues were found, listing all of them
+     */
+    validate() {
+        const issues = this.#dag.issues().map(issue => issue.type === "missing"
+            ? { ...issue, message: `"${issue.id}" depends on unknown task "${issue.dependency}"` }
+            : issue);
+        for (const id of this.#duplicates.keys())
+            issues.push(Workflow.#duplicateIssue(id));
+        if (issues.length)
+            throw new ValidationError(issues);
+    }
+
+    /**
+     * Starts a run of the workflow with its own copy of the tasks, leaving this workflow untouched as the definition.
+     * Runs have their own task states, results and concurrency limit, share the resource pools, rate limiters, logger
+     * and cache of the definition, and can execute at the same time.
+     * @param {Object} [params={}] - Parameters of the run, merged over the workflow's and handed to every task
+     * @param {Object} [config={}] - Workflow configuration overriding the definition's, e.g. a `journal` for the run
+     * @param {string} [config.id] - Unique identifier for the run, defaults to `<id>:<number>`
+     * @returns {WorkflowRun} The started run
+     * @throws {ValidationError} If the workflow fails validation
+     */
+    run(params = {}, config = {}) {
+        this.validate();
+        return new WorkflowRun(this.#copy(params, { id: `${this.id}:${++this.#runs}`, ...config }));
+    }
+
+    /**
+     * Copies the workflow, with fresh tasks built from the recorded `add()`, `map()` and `addWorkflow()` calls
+     * and the same plugins. Child workflows are copied too, with the same parameters.
+     * @private
+     * @param {Object} params - Parameters merged over the workflow's
+     * @param {Object} config - Workflow configuration overriding this workflow's
+     * @returns {Workflow} The copy
+     */
+    #copy(params, config) {
+        const copy = new Workflow({
+            maxConcurrent: this.#semaphore.max,
+            pools: this.#pools,
+            rateLimits: Object.fromEntries(this.#limiters),
+            onSkipped: this.#onSkipped,
+            strict: this.#strict,
+            logger: this.#logger,
+            cache: this.#cache,
+            deadline: this.#deadline,
+            params: { ...this.#params, ...params },
+            ...config
+        });
+        for (const { method, work, workflow, config } of this.#definitions.values()) {
+            if (method === "addWorkflow")
+                copy.addWorkflow(workflow.#copy(params, { id: workflow.id }), config);
+            else
+                copy[method](work, config);
+        }
+        for (const { plugin, options } of this.#plugins)
+            copy.use(plugin, options);
+        return copy;
+    }
+
+    /**
+     * Builds the validation issue for a task ID that was added more than once.
+     * @private
+     * @param {string} id - The duplicated task ID
+     * @returns {{type: "duplicate", id: string, message: string}} The issue
+     */
+    static #duplicateIssue(id) {
+        return { type: "duplicate", id, message: `Task ID "${id}" was added more than once` };
+    }
 
     /**
      * Removes all tasks from the workflow.
@@ -488,6 +1608,8 @@ export class Workflow {
      * @returns {Task|undefined} The removed task or undefined if not found
      */
     remove(id) {
+        this.#mapTasks.delete(id);
+        this.#definitions.delete(id);
         let toRemove;
         if (this.state === "executing" || this.state === "paused") {
             toRemove = this.getTask(id);
@@ -500,6 +1622,239 @@ export class Workflow {
         return toRemove;
     }
 
+    /**
+     * Rebuilds a workflow from a snapshot produced by `toJSON()`.
+     * Tasks that had succeeded are restored with their stored results and are not executed again,
+     * every other task starts over from `pending`. Map tasks and nested workflows are rebuilt with `map()` and
+     * `addWorkflow()`, the latter from the nested snapshot with the same work functions. `when` predicates cannot be
+     * stored, so tasks that had one and still have to run need it passed in `config.when`.
+     * @param {Object|string} snapshot - The workflow snapshot, or its JSON string
+     * @param {Object<string, function(...any): Promise<any>>|Map<string, function(...any): Promise<any>>} workFunctions - Work functions keyed by task ID
+     * @param {Object} [config={}] - Configuration options for the restored workflow
+     * @param {number} [config.maxConcurrent=1] - Maximum number of concurrent tasks
+     * @param {Object<string, function(...any): boolean|Promise<boolean>>} [config.when={}] - `when` predicates keyed by task ID
+     * @throws {Error} If a task that still has to run has no work function, or had a `when` predicate that was not passed
+     * @returns {Workflow} The restored workflow
+     */
+    static restore(snapshot, workFunctions, config = {}) {
+        if (typeof snapshot === "string")
+            snapshot = JSON.parse(snapshot);
+        const { when: predicates = {}, ...options } = config;
+        const fns = workFunctions instanceof Map ? workFunctions : new Map(Object.entries(workFunctions ?? {}));
+        const workflow = new Workflow({ id: snapshot.id, ...options });
+        for (const { id, state, result, attempts, kind, over, each, workflow: nested, reliesOn, optional, when, onSkipped, trigger, priority, timeout, queueTimeout, backoff, retry, retryLimit, resources, group, params, tags, context } of snapshot.tasks) {
+            const work = fns.get(id);
+            const settled = state === "succeeded";
+            if (!work && !settled && !(kind === "workflow" && nested))
+                throw new Error(`Missing work function for task ${id}`);
+            if (when && !settled && !predicates[id])
+                throw new Error(`Missing when predicate for task ${id}`);
+            const dependencies = reliesOn?.map(dep => optional?.includes(dep) ? { id: dep, optional: true } : dep);
+            const shared = { id, reliesOn: dependencies, when: predicates[id], onSkipped, trigger, priority, tags };
+            const own = { ...shared, timeout, queueTimeout, backoff, retry, retryLimit, resources, group, params, context };
+            let task;
+            if (kind === "map" && work) // the map task's own settings are defaults, the children's are in `each`
+                task = workflow.map(work, { ...shared, ...each, over });
+            else if (kind === "workflow" && nested)
+                task = workflow.addWorkflow(Workflow.restore(nested, fns, { when: predicates }), own);
+            else
+                task = workflow.add(work ?? (() => result), own);
+            if (settled)
+                task.restore({ result, attempts });
+        }
+        return workflow;
+    }
+
+    /**
+     * Builds a workflow from a declarative definition, such as one loaded from a JSON file.
+     * Each task names its work function by `handler` (defaults to the task ID), which is looked up in the registry.
+     * Tasks with `over` become map tasks, and tasks with a nested `workflow` definition become sub-workflows.
+     * @param {Object|string} definition - The workflow definition, or its JSON string
+     * @param {Object<string, function(...any): Promise<any>>|Map<string, function(...any): Promise<any>>} registry - Work functions keyed by handler name
+     * @param {Object} [config={}] - Configuration options overriding those of the definition, e.g. a journal
+     * @throws {ValidationError} If the definition is malformed, names unknown handlers, tasks, resource pools or rate limit groups, or has cycles, listing every issue
+     * @returns {Workflow} The workflow
+     */
+    static fromDefinition(definition, registry, config = {}) {
+        if (typeof definition === "string")
+            definition = JSON.parse(definition);
+        const handlers = registry instanceof Map ? registry : new Map(Object.entries(registry ?? {}));
+        const issues = Workflow.#checkDefinition(definition, handlers, "", config);
+        if (issues.length)
+            throw new ValidationError(issues);
+        return Workflow.#build(definition, handlers, config);
+    }
+
+    /**
+     * Builds a checked workflow definition.
+     * @private
+     * @param {Object} definition - The workflow definition
+     * @param {Map<string, function(...any): Promise<any>>} handlers - Work functions keyed by handler name
+     * @param {Object} config - Configuration options overriding those of the definition
+     * @throws {ValidationError} If the tasks form a cycle
+     * @returns {Workflow} The workflow
+     */
+    static #build(definition, handlers, config) {
+        const { tasks, ...options } = definition;
+        const workflow = new Workflow({ ...options, ...config });
+        for (const { workflow: child, handler, over, ...entry } of tasks) {
+            if (child)
+                workflow.addWorkflow(Workflow.#build({ id: entry.id, ...child }, handlers, {}), entry);
+            else if (over)
+                workflow.map(handlers.get(handler ?? entry.id), { ...entry, over, handler: handler ?? entry.id });
+            else
+                workflow.add(handlers.get(handler ?? entry.id), { ...entry, handler: handler ?? entry.id });
+        }
+        workflow.validate();
+        return workflow;
+    }
+
+    /**
+     * Checks a workflow definition against the definition schema.
+     * @private
+     * @param {any} definition - The workflow definition
+     * @param {Map<string, function(...any): Promise<any>>} handlers - Work functions keyed by handler name
+     * @param {string} [at=""] - Path of the definition within its parent, for nested workflows
+     * @param {Object} [config={}] - Configuration options overriding those of the definition, whose pools and rate limits tasks may use too
+     * @returns {{type: "definition", at: string, message: string}[]} The issues found
+     */
+    static #checkDefinition(definition, handlers, at = "", config = {}) {
+        const issues = [];
+        const fail = (path, label, text) => issues.push({ type: "definition", at: path, message: `${label} ${text}` });
+        const checkFields = (object, fields, path, label) => {
+            for (const [key, value] of Object.entries(object)) {
+                if (!(key in fields))
+                    fail(path, label, `has unknown field "${key}"`);
+                else if (!fields[key][0](value))
+                    fail(`${path}${path ? "." : ""}${key}`, `${label}.${key}`, `must be ${fields[key][1]}, got ${JSON.stringify(value)}`);
+            }
+        };
+        if (!Workflow.#isObject(definition)) {
+            fail(at, at || "definition", "must be an object");
+            return issues;
+        }
+        checkFields(definition, Workflow.#definitionFields.workflow, at.slice(0, -1), at.slice(0, -1) || "definition");
+        if (!Array.isArray(definition.tasks)) {
+            if (definition.tasks === undefined)
+                fail(at.slice(0, -1), at.slice(0, -1) || "definition", `is missing "tasks"`);
+            return issues;
+        }
+        const capacities = Object.entries({ ...(Workflow.#isObject(definition.pools) ? definition.pools : {}), ...(config.pools instanceof ResourcePool ? {} : config.pools) });
+        const pools = config.pools instanceof ResourcePool ? config.pools : new ResourcePool(Object.fromEntries(capacities.filter(([, capacity]) => capacity > 0)));
+        const groups = new Set([...Object.keys(Workflow.#isObject(definition.rateLimits) ? definition.rateLimits : {}), ...Object.keys(config.rateLimits ?? {})]);
+        const ids = new Map();
+        definition.tasks.forEach((entry, i) => {
+            if (Workflow.#isObject(entry) && typeof entry.id === "string" && !ids.has(entry.id)) ids.set(entry.id, i);
+        });
+        definition.tasks.forEach((entry, i) => {
+            const path = `${at}tasks[${i}]`;
+            if (!Workflow.#isObject(entry))
+                return fail(path, path, "must be an object");
+            if (entry.id === undefined)
+                return fail(path, path, `is missing "id"`);
+            const label = `${path} (${JSON.stringify(entry.id)})`;
+            checkFields(entry, Workflow.#definitionFields.task, path, label);
+            if (Workflow.#definitionFields.task.id[0](entry.id) && ids.get(entry.id) !== i)
+                fail(path, label, `reuses the ID of ${at}tasks[${ids.get(entry.id)}]`);
+            if (Workflow.#definitionFields.task.resources[0](entry.resources ?? [])) {
+                for (const [name, weight] of Object.entries(ResourcePool.normalize(entry.resources))) {
+                    try {
+                        pools.validate({ [name]: weight });
+                    } catch (error) {
+                        fail(`${path}.resources`, `${label}.resources`, `cannot be claimed: ${error.message}`);
+                    }
+                }
+            }
+            if (typeof entry.group === "string" && !groups.has(entry.group))
+                fail(`${path}.group`, `${label}.group`, `names unknown rate limit group "${entry.group}"`);
+            if (Workflow.#isObject(entry.retry)) {
+                const { strategy = "exponential", jitter = "none" } = entry.retry;
+                if (!RetryPolicy.strategies.includes(strategy))
+                    fail(`${path}.retry.strategy`, `${label}.retry.strategy`, `must be one of ${RetryPolicy.strategies.map(name => `"${name}"`).join(", ")}, got ${JSON.stringify(strategy)}`);
+                if (!RetryPolicy.jitters.includes(jitter))
+                    fail(`${path}.retry.jitter`, `${label}.retry.jitter`, `must be one of ${RetryPolicy.jitters.map(name => `"${name}"`).join(", ")}, got ${JSON.stringify(jitter)}`);
+            }
+            for (const dep of [entry.over, ...(Array.isArray(entry.reliesOn) ? entry.reliesOn.map(dep => dep?.id ?? dep) : [])]) {
+                if (typeof dep === "string" && !ids.has(dep))
+                    fail(path, label, `relies on unknown task "${dep}"`);
+            }
+            if (entry.workflow !== undefined) {
+                if (entry.handler !== undefined || entry.over !== undefined)
+                    fail(path, label, `cannot have a "handler" or "over" next to a nested "workflow"`);
+                issues.push(...Workflow.#checkDefinition(entry.workflow, handlers, `${path}.workflow.`));
+            } else if (!handlers.has(entry.handler ?? entry.id)) {
+                fail(path, label, `uses unknown handler "${entry.handler ?? entry.id}"`);
+            }
+        });
+        return issues;
+    }
+
+    /**
+     * Checks whether a value is a plain object.
+     * @private
+     * @param {any} value - The value to check
+     * @returns {boolean} True if the value is a non-null object and not an array
+     */
+    static #isObject(value) {
+        return value !== null && typeof value === "object" && !Array.isArray(value);
+    }
+
+    /**
+     * Converts the workflow to a declarative definition, the reverse of `Workflow.fromDefinition()`.
+     * Work functions are written as handler names, either the `handler` given when adding the task, the function's name, or the task ID.
+     * Settings that cannot be expressed in JSON, such as `when` predicates and `retryOn` functions, are left out.
+     * @returns {Object} JSON-serializable workflow definition
+     */
+    toDefinition() {
+        const definition = { id: this.id, maxConcurrent: this.#semaphore.max };
+        if (this.#onSkipped !== "skip")
+            definition.onSkipped = this.#onSkipped;
+        if (this.#strict)
+            definition.strict = true;
+        if (Object.keys(this.#params).length)
+            definition.params = this.#params;
+        if (typeof this.#deadline === "number")
+            definition.deadline = this.#deadline;
+        if (this.#pools.names.length)
+            definition.pools = Object.fromEntries(this.#pools.names.map(name => [name, this.#pools.capacity(name)]));
+        if (this.#limiters.size)
+            definition.rateLimits = Object.fromEntries(Array.from(this.#limiters, ([group, { limit, interval, burst }]) => [group, { limit, interval, burst }]));
+        definition.tasks = this.getOrdered().map(task => {
+            const { method, work, workflow, config } = this.#definitions.get(task.id);
+            const entry = { id: task.id };
+            if (method === "addWorkflow")
+                entry.workflow = workflow.toDefinition();
+            else
+                entry.handler = config.handler ?? (work.name || task.id);
+            if (method === "map")
+                entry.over = config.over;
+            const optional = task.optional;
+            const reliesOn = (method === "map" ? task.reliesOn.slice(1) : task.reliesOn).map(id => optional.includes(id) ? { id, optional: true } : id);
+            if (reliesOn.length)
+                entry.reliesOn = reliesOn;
+            for (const field of ["priority", "retryLimit", "timeout", "queueTimeout", "backoff", "retry", "resources", "group", "onSkipped", "trigger", "params", "tags", "context"]) {
+                if (config[field] === undefined) continue;
+                entry[field] = field !== "retry" ? config[field] : Workflow.#retryOptions(config.retry);
+            }
+            if (task.cache)
+                entry.cache = task.cache.version !== undefined ? { version: task.cache.version } : true;
+            return entry;
+        });
+        return definition;
+    }
+
+    /**
+     * Converts a retry policy, or options for one, to JSON-serializable options, leaving out functions such as `retryOn`.
+     * @private
+     * @param {RetryPolicy|Object} retry - The retry policy or options
+     * @returns {Object} The retry options
+     */
+    static #retryOptions(retry) {
+        return retry instanceof RetryPolicy
+            ? retry.toJSON()
+            : Object.fromEntries(Object.entries(retry).filter(([, value]) => typeof value !== "function"));
+    }
+
     /**
      * Checks if the workflow is paused and waits if necessary.
      */
@@ -514,35 +1869,210 @@ export class Workflow {
      * @param {function(...any): Promise<any>} work - The work function to execute
      * @param {Object} [config={}] - Task configuration
      * @param {string} [config.id] - Unique identifier for the task
-     * @param {string[]} [config.reliesOn=[]] - Array of task IDs this task depends on
+     * @param {(string|{id: string, optional?: boolean})[]} [config.reliesOn=[]] - Array of task IDs this task depends on, or dependency objects marking optional ones
      * @param {number} [config.priority=0] - Task priority (higher numbers execute first)
      * @param {number} [config.retryLimit=0] - Maximum number of retry attempts
      * @param {number} [config.timeout] - Task timeout in milliseconds
+     * @param {number} [config.queueTimeout] - Maximum time in milliseconds the ready task waits for its resource pool claims and a concurrency slot before it fails
      * @param {number} [config.backoff=200] - Base backoff time for retries in milliseconds
-     * @throws {Error} If a Task with the same ID already exists
-     * @returns {Task} The created task
+     * @param {RetryPolicy|Object} [config.retry] - Retry policy, or options for one, defaults to exponential backoff from `backoff`
+     * @param {string[]|Object<string, number>} [config.resources] - Resource pools the task claims while it runs, by name or with weights
+     * @param {string} [config.group] - Rate limit group whose limiter every attempt takes a token from
+     * @param {function(...any): boolean|Promise<boolean>} [config.when] - Predicate receiving the dependency results (or `{ id, inputs, params }` with the context signature), the task is skipped when it returns false
+     * @param {"skip"|"run"} [config.onSkipped] - Whether to skip too, or run with `undefined` inputs, when a dependency was skipped (defaults to the workflow setting)
+     * @param {"all_success"|"all_done"|"one_success"|"one_failed"|"none_failed"} [config.trigger="all_success"] - Rule deciding from the outcomes of the dependencies whether the task runs
+     * @param {boolean|Object} [config.cache] - Cache the result by task ID, version and inputs, and succeed from the cache without running when they are unchanged
+     * @param {string} [config.cache.version] - Version of the work function, change it to stop using earlier results
+     * @param {function(Object): any} [config.cache.inputs] - Derives the inputs hashed into the cache key from `{ id, inputs, params }`, defaults to the dependency results and parameters
+     * @param {MemoryCache|import("./FileCache.js").FileCache} [config.cache.store] - Store for the results, defaults to the workflow's
+     * @param {any} [config.params] - Static parameters handed to the work function in its attempt context
+     * @param {string[]} [config.tags=[]] - Tags for selecting the task, e.g. as a target
+     * @param {boolean} [config.context=false] - Call the work function with the attempt context as its only argument, instead of the positional dependency results
+     * @param {string} [config.handler] - Name of the work function in a registry, written by `toDefinition()` (defaults to the function's name)
+     * @throws {ValidationError} In strict mode or once the workflow began, if a Task with the same ID already exists; in strict mode, if a dependency was not added yet
+     * @throws {Error} If the task claims an unknown resource pool or rate limit group
+     * @returns {Task} The created task, or the existing one with the same ID, which is reported by `validate()`
      */
     add(work, config) {
-        const task = new Task(this, work, config);
+        this.#pools.validate(config?.resources ?? {});
+        if (config?.group != null && !this.#limiters.has(config.group))
+            throw new Error(`Unknown rate limit group: ${config.group}`);
+        const existing = config?.id != null && this.getTask(config.id);
+        if (existing) {
+            if (this.#strict || this.state !== "idle") // validate() only runs before the workflow begins
+                throw new ValidationError([Workflow.#duplicateIssue(config.id)]);
+            this.#duplicates.set(config.id, (this.#duplicates.get(config.id) ?? 0) + 1);
+            return existing;
+        }
+        const missing = this.#strict ? Task.normalize(config?.reliesOn).map(dep => dep.id).filter(id => !this.getTask(id)) : [];
+        if (missing.length)
+            throw new ValidationError(missing.map(dep => ({ type: "missing", id: config.id, dependency: dep, message: `"${config.id}" depends on unknown task "${dep}"` })));
+        const task = new Task(this, work, { onSkipped: this.#onSkipped, ...config });
         this.#dag.addVertex(task.id, task, task.reliesOn);
+        this.#definitions.set(task.id, { method: "add", work, config: { ...config, id: task.id } });
+        return task;
+    }
+
+    /**
+     * Adds a map task, which runs the work function once per element of a dependency's array result.
+     * Each element gets its own child task (`<id>[<index>]`) that is retried on its own and shares the
+     * workflow's concurrency limit, and the map task's result is the array of child results, in order.
+     * @param {function(any, number, ...any): Promise<any>} work - Work function receiving an element, its index, any other dependency results and the attempt context
+     * @param {Object} config - Task configuration
+     * @param {string} config.over - ID of the task whose array result is mapped over
+     * @param {string} [config.id] - Unique identifier for the task
+     * @param {(string|{id: string, optional?: boolean})[]} [config.reliesOn=[]] - Additional task IDs this task depends on, or dependency objects
+     * @param {number} [config.priority=0] - Task priority (higher numbers execute first), shared by the children
+     * @param {number} [config.retryLimit=0] - Maximum number of retry attempts for each child
+     * @param {number} [config.timeout] - Timeout in milliseconds for each child
+     * @param {number} [config.queueTimeout] - Maximum time in milliseconds each child waits for a slot
+     * @param {number} [config.backoff=200] - Base backoff time for child retries in milliseconds
+     * @param {RetryPolicy|Object} [config.retry] - Retry policy for each child
+     * @param {string[]|Object<string, number>} [config.resources] - Resource pools each child claims while it runs
+     * @param {string} [config.group] - Rate limit group each child attempt takes a token from
+     * @param {any} [config.params] - Static parameters handed to each child in its attempt context
+     * @param {boolean} [config.context=false] - Call the work function with the attempt context as its only argument, which then also holds the `item` and its `index`
+     * @param {boolean|Object} [config.cache] - Cache the result of the whole map task, see `add()`
+     * @param {string} [config.handler] - Name of the work function in a registry, written by `toDefinition()` (defaults to the function's name)
+     * @throws {ValidationError} In strict mode, if a Task with the same ID already exists or a dependency was not added yet
+     * @throws {Error} If `over` is missing
+     * @returns {Task} The created map task, or the existing one with the same ID, which is reported by `validate()`
+     */
+    map(work, config = {}) {
+        if (config.id != null && this.getTask(config.id))
+            return this.add(work, config); // reports the duplicate
+        const { over, retryLimit, timeout, queueTimeout, backoff, retry, resources, group, params, context, ...rest } = config;
+        this.#pools.validate(resources ?? {});
+        if (group != null && !this.#limiters.has(group))
+            throw new Error(`Unknown rate limit group: ${group}`);
+        if (!over)
+            throw new Error("Map tasks need an `over` dependency!");
+        const reliesOn = [over, ...Task.normalize(rest.reliesOn).filter(dep => dep.id !== over)];
+        const each = Object.fromEntries(Object.entries({ retryLimit, timeout, queueTimeout, backoff, retry, resources, group, params, context })
+            .filter(([, value]) => value !== undefined)
+            .map(([key, value]) => [key, key === "retry" ? Workflow.#retryOptions(value) : value]));
+        const children = [];
+        const task = this.add(async (items, ...depResults) => {
+            const { signal, inputs } = depResults.pop();
+            if (!Array.isArray(items))
+                throw new Error(`Map task ${task.id} expected an array result from ${over}`);
+            signal.addEventListener("abort", () => {
+                children.filter(c => c.state === "pending" || c.state === "running").forEach(c => c.cancel());
+            });
+            const settled = await Promise.allSettled(items.map((item, i) => {
+                const child = new Task(this, work, { id: `${task.id}[${i}]`, priority: task.priority, retryLimit, timeout, queueTimeout, backoff, retry, resources, group, params, context, parent: task });
+                children.push(child);
+                return this.#admit(child, [item, i, ...depResults], { inputs, item, index: i });
+            }));
+            const failed = settled.find(s => s.status === "rejected");
+            if (failed)
+                throw failed.reason;
+            return settled.map(s => s.value);
+        }, { ...rest, reliesOn, over, each });
+        task.onAfter("remove", () => children.forEach(child => child.remove()));
+        task.onBefore("reset", () => children.splice(0).forEach(child => child.remove()));
+        this.#mapTasks.add(task.id);
+        this.#definitions.set(task.id, { method: "map", work, config: { ...config, id: task.id } });
+        return task;
+    }
+
+    /**
+     * Adds an entire workflow as a single task of this one.
+     * The task's result is an object of the child's terminal task results keyed by task ID, and it fails
+     * if any child task fails. Pausing, resuming and aborting this workflow reaches the child, and child
+     * task events are forwarded through this workflow's `taskManager` with IDs namespaced as `<id>/<childTaskId>`.
+     * @param {Workflow} workflow - The child workflow
+     * @param {Object} [config={}] - Task configuration
+     * @param {string} [config.id] - Unique identifier for the task, defaults to the child workflow's ID
+     * @param {string[]} [config.reliesOn=[]] - Array of task IDs the child workflow waits for
+     * @param {number} [config.priority=0] - Task priority (higher numbers execute first)
+     * @param {number} [config.timeout] - Timeout in milliseconds for the whole child workflow
+     * @throws {ValidationError} In strict mode, if a Task with the same ID already exists or a dependency was not added yet
+     * @returns {Task} The created task, or the existing one with the same ID, which is reported by `validate()`
+     */
+    addWorkflow(workflow, config = {}) {
+        const id = config.id ?? workflow.id;
+        if (this.getTask(id))
+            return this.add(() => {}, { ...config, id }); // reports the duplicate
+        const isActive = () => workflow.state === "executing" || workflow.state === "paused";
+        const task = this.add(async (...depResults) => {
+            const { signal } = depResults.at(-1);
+            signal.addEventListener("abort", () => isActive() && workflow.abort());
+            const results = {};
+            const isTerminal = workflow.#terminalCheck();
+            // every child is watched, so the error of a failing intermediate task is not lost to the cancellations it causes
+            for await (const t of workflow.stream({ states: ["*"], onlyTerminal: false })) {
+                if (t.state === "failed" || t.state === "cancelled") {
+                    workflow.abort();
+                    throw t.error;
+                }
+                if (t.state === "succeeded" && isTerminal(t.id))
+                    results[t.id] = t.result;
+            }
+            if (workflow.state === "aborted")
+                throw new Error(`Workflow ${workflow.id} was aborted`);
+            return results;
+        }, { ...config, id, retryLimit: 0, context: false, nested: workflow });
+        const cleanup = [
+            this.taskManager.adopt(workflow.taskManager, id),
+            this.onAfter("pause", () => workflow.state === "executing" && workflow.pause()),
+            this.onAfter("resume", () => workflow.resume()),
+            this.onAfter("abort", () => isActive() && workflow.abort())
+        ];
+        task.onAfter("remove", () => cleanup.forEach(off => off()));
+        task.onBefore("reset", () => workflow.retryFailed());
+        this.#definitions.set(task.id, { method: "addWorkflow", workflow, config: { ...config, id: task.id } });
         return task;
     }
 
     /**
      * Processes all tasks in the workflow.
      * @private
+     * @param {Set<string>|null} [selected=null] - IDs of the only tasks to run, all tasks if null
      */
-    async #process() {
+    async #process(selected = null) {
         this.#fsm.invoke("begin");
         if (this.state === "aborted") return;
         await this.checkPause();
         for (const task of this.getOrdered()) {
-            if (!this.#processed.has(task.id))
+            if (!this.#processed.has(task.id) && (!selected || selected.has(task.id)))
                 this.#run(task.id);
         }
         await Promise.allSettled(this.#processed.values());
     }
 
+    /**
+     * Applies a task's trigger rule to the outcomes of its dependencies, where failed and cancelled dependencies
+     * settled with their error. Optional dependencies count as succeeded whatever their outcome.
+     * @private
+     * @param {Task} task - The task whose dependencies settled
+     * @param {any[]} depResults - Results from dependency tasks
+     * @returns {"run"|"skip"|"cancel"} Whether the task runs, is skipped, or is cancelled because dependencies failed
+     */
+    #triggered(task, depResults) {
+        if (!task.reliesOn.length) return "run";
+        const optional = task.optional;
+        let succeeded = 0, failed = 0, skipped = 0;
+        task.reliesOn.forEach((did, i) => {
+            if (optional.includes(did)) succeeded++;
+            else if (Error.isError(depResults[i])) failed++;
+            else if (this.getTask(did)?.state === "skipped") skipped++;
+            else succeeded++;
+        });
+        switch (task.trigger) {
+            case "all_done":
+                return "run";
+            case "one_success":
+                return succeeded ? "run" : failed ? "cancel" : "skip";
+            case "one_failed":
+                return failed ? "run" : "skip";
+            case "none_failed":
+                return failed ? "cancel" : "run";
+            default:
+                return failed ? "cancel" : skipped && task.onSkipped === "skip" ? "skip" : "run";
+        }
+    }
+
     /**
      * Runs a specific task and its dependencies.
      * @private
@@ -555,24 +2085,103 @@ export class Workflow {
         const task = this.getTask(id);
         if (!task)
             throw new Error(`Unknown task id: ${id}`);
-        const p = this.#semaphore.withLock(async () => {
+        if (task.state !== "pending") { // restored tasks and those settled in an earlier phase keep their outcome
+            const p = Promise.resolve(task.state === "succeeded" ? task.result : task.error);
+            this.#processed.set(id, p);
+            return p;
+        }
+        const p = (async () => {
+            // dependencies settle before the task joins the ready queue, so waiting on them never holds a slot
             const settled = await Promise.allSettled(task.reliesOn.map(did => this.#run(did)));
-            if (settled.some(s => Error.isError(s.value) || s.status === 'rejected'))
+            const depResults = settled.map(s => s.status === "rejected" ? s.reason : s.value);
+            const outcome = this.#triggered(task, depResults);
+            if (outcome === "cancel")
                 task.cancel();
-            return task.execute(settled.map(s => s.value))
-        })
+            else if (outcome === "skip")
+                task.skip();
+            // map tasks only coordinate their children, so they must not hold a permit the children need
+            if (task.state !== "pending" || this.#mapTasks.has(id))
+                return task.execute(depResults);
+            return this.#admit(task, depResults);
+        })()
             .catch(err => err); // have to keep this to prevent error from escaping control flow
         this.#processed.set(id, p);
         return p;
     }
 
+    /**
+     * Executes a ready task, checking its `when` predicate and the cache first, so that only a task whose
+     * work function has to run waits for its rate limit token, resource claims and a concurrency permit.
+     * They are acquired for every attempt and released in between, so a task waiting to retry holds none of them.
+     * @private
+     * @param {Task} task - The task to execute
+     * @param {any[]} depResults - Results from dependency tasks
+     * @param {Object} [extra={}] - Additional fields for the attempt context
+     * @returns {Promise<any>} The task result, or undefined if the task was skipped
+     * @throws {Error} If the task is cancelled, waits longer than its queue timeout or fails after all retries
+     */
+    async #admit(task, depResults, extra = {}) {
+        if (!await task.prepare(depResults, extra))
+            return task.result;
+        return task.perform(depResults, extra, attempt => this.#acquire(task, attempt));
+    }
+
+    /**
+     * Executes a function once the task's rate limit token, resource pool claims and a concurrency permit are held.
+     * The token and claims are acquired first, so tasks waiting on a rate limit or a busy pool do not occupy a concurrency slot.
+     * Only ready tasks get here, and waiting ones are served by priority rather than arrival.
+     * A task that waits longer than its `queueTimeout` fails right away, and hands its turn on once it is served.
+     * @private
+     * @param {Task} task - The task to acquire for
+     * @param {function(): Promise<any>} fn - Function to execute
+     * @returns {Promise<any>} The result of the function execution
+     * @throws {QueueTimeoutError} If the task waited longer than its queue timeout
+     */
+    #acquire(task, fn) {
+        const acquire = async run => {
+            await task.throttle();
+            return this.#pools.withClaims(task.resources, () => this.#semaphore.withLock(run, task.priority), task.priority);
+        };
+        if (task.queueTimeout === null)
+            return acquire(fn);
+        const expired = Promise.withResolvers();
+        const handle = setTimeout(() => {
+            if (task.state !== "pending") return; // cancelled or removed while waiting
+            task.expire();
+            expired.reject(task.error);
+        }, task.queueTimeout);
+        return Promise.race([acquire(() => {
+            clearTimeout(handle);
+            if (task.state === "failed")
+                throw task.error;
+            return fn();
+        }), expired.promise]);
+    }
+
+    /**
+     * Aborts the workflow with a `DeadlineError` once its deadline passes. Far-off deadlines
+     * are checked again after the longest delay `setTimeout` supports.
+     * @private
+     */
+    #watchDeadline() {
+        const delay = this.#expiresAt - Date.now();
+        this.#deadlineHandle = setTimeout(() => {
+            if (delay > Workflow.#maxDelay)
+                return this.#watchDeadline();
+            this.#error = new DeadlineError(this.#id, new Date(this.#expiresAt));
+            this.#fsm.invoke("expire");
+        }, Math.min(delay, Workflow.#maxDelay));
+    }
+
     /**
      * Streams tasks as they complete that match the specified filters.
      * @param {Object} [filters={}] - Filter options
      * @param {string[]} [filters.states=["succeeded"]] - Task states to include
      * @param {boolean} [filters.onlyTerminal=true] - Only include tasks with no dependents
      * @param {function(Task): boolean} [filters.filter] - Custom filter function
+     * @param {string|string[]} [filters.targets] - Only run these tasks and the tasks they depend on, see `select()`
      * @yields {Task} Tasks matching the filters
+     * @throws {Error} If a target selector matches no task
      */
     async *stream(filters = { states: ["succeeded"], onlyTerminal: true, filter: task => !!task }) {
         filters = {
@@ -581,8 +2190,9 @@ export class Workflow {
             filter: t => !!t,
             ...filters
         }
-        for await (const task of this) {
-            if ((filters.states.includes("*") || filters.states.includes(task.state)) && this.#dag.isTerminal(task.id) && filters.filter(task))
+        const isTerminal = this.#terminalCheck(filters.targets);
+        for await (const task of this.#iterate(filters.targets)) {
+            if ((filters.states.includes("*") || filters.states.includes(task.state)) && (!filters.onlyTerminal || isTerminal(task.id)) && filters.filter(task))
                 yield task;
         }
     }
@@ -591,47 +2201,90 @@ export class Workflow {
      * Streams task results, throwing on any failures and aborting the remaining workflow.
      * @param {Object} [filters={}] - Filter options
      * @param {boolean} [filters.onlyTerminal=true] - Only include results for tasks with no dependents
+     * @param {boolean} [filters.includeSkipped=false] - Yield `undefined` for skipped tasks instead of leaving them out
      * @param {function(Task): boolean} [filters.filter] - Custom filter function
+     * @param {string|string[]} [filters.targets] - Only run these tasks and the tasks they depend on, see `select()`
      * @yields {any} Task results
-     * @throws {Error} If any task fails
+     * @throws {Error} If any task fails, or a target selector matches no task
      */
-    async *try(filters = { onlyTerminal: true, filter: task => !!task }) {
+    async *try(filters = { onlyTerminal: true, includeSkipped: false, filter: task => !!task }) {
         filters = {
             onlyTerminal: true,
+            includeSkipped: false,
             filter: t => t,
             ...filters
         }
-        for await (const task of this) {
+        const isTerminal = this.#terminalCheck(filters.targets);
+        for await (const task of this.#iterate(filters.targets)) {
             if (task.state === "failed") {
                 this.abort();
                 throw task.error;
             }
-            if ((!filters.onlyTerminal || filters.onlyTerminal && this.#dag.isTerminal(task.id)) && filters.filter(task))
+            if (task.state === "skipped" && !filters.includeSkipped)
+                continue;
+            if ((!filters.onlyTerminal || filters.onlyTerminal && isTerminal(task.id)) && filters.filter(task))
                 yield task.result;
         }
     }
 
+    /**
+     * Creates the check for whether a task is terminal, i.e. no task that runs depends on it.
+     * @private
+     * @param {string|string[]} [targets] - Target selectors, all tasks run if omitted
+     * @returns {function(string): boolean} Check receiving a task ID
+     */
+    #terminalCheck(targets) {
+        if (!targets) return id => this.#dag.isTerminal(id);
+        const dag = this.#dag.subgraph(this.#select(targets));
+        return id => dag.isTerminal(id);
+    }
+
     /**
      * Async iterator that yields tasks as they complete.
      * @yields {Task} Tasks as they finish execution
+     * @throws {ValidationError} If the workflow has not begun yet and fails validation
      */
     async *[Symbol.asyncIterator]() {
+        yield* this.#iterate();
+    }
+
+    /**
+     * Runs the workflow, or only the selected tasks, yielding tasks as they complete.
+     * Tasks that are not selected are left `pending`.
+     * @private
+     * @param {string|string[]} [targets] - Target selectors, all tasks run if omitted
+     * @yields {Task} Tasks as they finish execution
+     * @throws {ValidationError} If the workflow has not begun yet and fails validation
+     * @throws {Error} If a target selector matches no task
+     */
+    async *#iterate(targets) {
+        const selected = targets ? this.#select(targets) : null;
+        const isSelected = id => !selected || selected.has(id);
         if (this.state === "done" || this.state === "aborted") {
-            yield* this.getOrdered(); // if already processed just yield results
+            yield* this.getOrdered().filter(t => isSelected(t.id)); // if already processed just yield results
             return;
         }
-        const stream = this.taskManager.stream(["succeeded.enter", "cancelled.enter", "failed.enter", "removed.enter"]);
         if (this.state === "idle")
-            this.#process();
-        let ordered;
+            this.validate();
+        const stream = this.taskManager.stream(["succeeded.enter", "skipped.enter", "cancelled.enter", "failed.enter", "removed.enter"]);
+        const settled = this.getOrdered().filter(t => t.state !== "pending" && isSelected(t.id));
+        if (this.state === "idle")
+            this.#process(selected);
+        let total;
         let count = 0;
+        for (const task of settled) {
+            count++;
+            yield task;
+        }
         while (true) {
-            ordered = this.getOrdered();
-            if (count >= ordered.length) break;
+            total = selected ? selected.size : this.getOrdered().length;
+            if (count >= total) break;
             for await (const ctx of stream.values({ preventCancel: true })) {
-                if (ctx.to === "failed" && ctx.payload.attempts < ctx.payload.retryLimit) continue;
+                if (this.getTask(ctx.id) !== ctx.payload) continue; // e.g. children of map tasks
+                if (!isSelected(ctx.id)) continue;
+                if (ctx.to === "failed" && ctx.payload.willRetry) continue;
                 yield ctx.payload;
-                if (++count >= ordered.length) break;
+                if (++count >= total) break;
             }
         }
         stream.cancel();
@@ -664,4 +2317,24 @@ export class Workflow {
     toString() {
         return `<Workflow: id='${this.id}', state='${this.state}', tasks=[${this.getOrdered().map(t => t.id)}]>`;
     }
+
+    /**
+     * Renders the workflow as a Graphviz DOT digraph. Tasks are labelled with their ID, state, priority
+     * and retry settings, and filled with the color of their current state (see `Workflow.stateColors`).
+     * @param {Object} [options={}] - Rendering options, see `DAG.toDot()`, overriding the task labels and colors
+     * @returns {string} The DOT source
+     */
+    toDot(options = {}) {
+        return this.#dag.toDot({ name: this.id, ...Workflow.#diagramOptions, ...options });
+    }
+
+    /**
+     * Renders the workflow as a Mermaid flowchart. Tasks are labelled with their ID, state, priority
+     * and retry settings, and filled with the color of their current state (see `Workflow.stateColors`).
+     * @param {Object} [options={}] - Rendering options, see `DAG.toMermaid()`, overriding the task labels and colors
+     * @returns {string} The Mermaid source
+     */
+    toMermaid(options = {}) {
+        return this.#dag.toMermaid({ ...Workflow.#diagramOptions, ...options });
+    }
 }
\ No newline at end of file
@@ -0,0 +1,159 @@
+/**
+ * A single run of a workflow definition, created by `Workflow.run()`.
+ * The run starts right away on its own copy of the tasks, so several runs of the same definition
+ * can execute at once. Settled tasks are recorded, so the run can be iterated at any time without missing any.
+ */
+export class WorkflowRun {
+    /** @type {import("./Workflow.js").Workflow} */
+    #workflow;
+    /** @type {import("./Workflow.js").Task[]} */
+    #settled = [];
+    /** @type {boolean} */
+    #finished = false;
+    /** @type {PromiseWithResolvers<void>} */
+    #update = Promise.withResolvers();
+    /** @type {Promise<Object<string, any>>} */
+    #done;
+
+    /**
+     * Creates a new run and starts executing it.
+     * @param {import("./Workflow.js").Workflow} workflow - The run's own copy of the workflow
+     */
+    constructor(workflow) {
+        this.#workflow = workflow;
+        this.#done = this.#drive();
+        this.#done.catch(() => {}); // failures surface through `done`, only when it is awaited
+    }
+
+    /**
+     * Gets the id of the run, which is the id of its workflow copy.
+     * @returns {string} The run id
+     */
+    get id() { return this.#workflow.id }
+
+    /**
+     * Gets the workflow copy the run executes.
+     * @returns {import("./Workflow.js").Workflow} The run's workflow
+     */
+    get workflow() { return this.#workflow }
+
+    /**
+     * Gets the parameters of the run, merged over the definition's.
+     * @returns {Object} The run parameters
+     */
+    get params() { return this.#workflow.params }
+
+    /**
+     * Gets the current state of the run.
+     * @returns {string} The state of the run's workflow
+     */
+    get state() { return this.#workflow.state }
+
+    /**
+     * Gets the tasks that settled so far, in the order they settled.
+     * @returns {import("./Workflow.js").Task[]} Array of settled tasks
+     */
+    get settled() { return Array.from(this.#settled) }
+
+    /**
+     * Gets the results of the terminal tasks that succeeded so far, keyed by task ID.
+     * @returns {Object<string, any>} The results
+     */
+    get results() {
+        const tasks = this.#workflow.getOrdered();
+        const dependencies = new Set(tasks.flatMap(task => task.reliesOn));
+        return Object.fromEntries(tasks.filter(task => task.state === "succeeded" && !dependencies.has(task.id)).map(task => [task.id, task.result]));
+    }
+
+    /**
+     * Gets a promise that settles once every task of the run settled.
+     * @returns {Promise<Object<string, any>>} Promise of the terminal task results, keyed by task ID
+     * @throws {Error} The error of the first failed task, or the `DeadlineError` or another error if the run was aborted
+     */
+    get done() { return this.#done }
+
+    /**
+     * Gets a task of the run by its ID.
+     * @param {string} id - The task ID
+     * @returns {import("./Workflow.js").Task|undefined} The task or undefined if not found
+     */
+    getTask(id) { return this.#workflow.getTask(id) }
+
+    /**
+     * Pauses the run.
+     */
+    pause() { this.#workflow.pause() }
+
+    /**
+     * Resumes the paused run.
+     */
+    resume() { this.#workflow.resume() }
+
+    /**
+     * Aborts the run, cancelling its pending and running tasks.
+     */
+    abort() { this.#workflow.abort() }
+
+    /**
+     * Executes the workflow copy to completion, recording tasks as they settle.
+     * @private
+     * @returns {Promise<Object<string, any>>} The terminal task results, keyed by task ID
+     * @throws {Error} The error of the first failed task, or an error if the run was aborted
+     */
+    async #drive() {
+        try {
+            for await (const task of this.#workflow) {
+                this.#settled.push(task);
+                this.#notify();
+            }
+        } finally {
+            this.#finished = true;
+            this.#notify();
+        }
+        const failed = this.#settled.find(task => task.state === "failed");
+        if (failed)
+            throw failed.error;
+        if (this.state === "aborted")
+            throw this.#workflow.error ?? new Error(`Workflow run ${this.id} was aborted`);
+        return this.results;
+    }
+
+    /**
+     * Wakes up iterators waiting for the next settled task.
+     * @private
+     */
+    #notify() {
+        this.#update.resolve();
+        this.#update = Promise.withResolvers();
+    }
+
+    /**
+     * Async iterator that yields the run's tasks as they settle, starting with those that already did.
+     * @yields {import("./Workflow.js").Task} Tasks as they settle
+     */
+    async *[Symbol.asyncIterator]() {
+        for (let i = 0; ; i++) {
+            while (i >= this.#settled.length) {
+                if (this.#finished) return;
+                await this.#update.promise;
+            }
+            yield this.#settled[i];
+        }
+    }
+
+    /**
+     * Converts the run to a JSON-serializable object.
+     * @returns {Object} JSON representation of the run
+     */
+    toJSON() {
+        return { ...this.#workflow.toJSON(), params: this.params };
+    }
+
+    /**
+     * Returns a string representation of the run.
+     * @returns {string} String representation
+     */
+    toString() {
+        return `<WorkflowRun: id='${this.id}', state='${this.state}', settled=${this.#settled.length}/${this.#workflow.size}>`;
+    }
+}
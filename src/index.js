@@ -1,7 +1,16 @@
 // Core workflow and task management
 export { Time } from './Time.js';
+export { Scheduler } from './Scheduler.js';
 export { DAG } from './DAG.js';
+export { ValidationError } from './ValidationError.js';
+export { DeadlineError } from './DeadlineError.js';
+export { QueueTimeoutError } from './QueueTimeoutError.js';
 export { Workflow, Task } from './Workflow.js';
+export { WorkflowRun } from './WorkflowRun.js';
+export { Journal } from './Journal.js';
+export { RetryPolicy } from './RetryPolicy.js';
+export { MemoryCache } from './MemoryCache.js';
+export { FileCache } from './FileCache.js';
 
 // State machine management
 export { StateMachine } from './StateMachine.js';
@@ -9,9 +18,12 @@ export { StateMachineManager } from './StateMachineManager.js';
 
 // Utilities
 export { Semaphore } from './Semaphore.js';
+export { Heap } from './Heap.js';
+export { ResourcePool } from './ResourcePool.js';
+export { RateLimiter } from './RateLimiter.js';
 export { Signaller } from './Signaller.js';
 export { Logger, LogLevel } from './Logger.js';
-export { deepFreeze } from './Util.js';
+export { deepFreeze, digest } from './Util.js';
 
 // Colorization and styling
 export { effect, hex, id, rgb, effects, hexToRgb, strToRgb, bg, hash, colorize } from './Colorizer.js';
\ No newline at end of file